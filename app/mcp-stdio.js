@@ -0,0 +1,47 @@
+// Serves the MCP server over stdio for assistants and IDEs that launch it as a subprocess.
+// stdout carries the protocol, so everything the services log goes to stderr.
+console.log = console.error;
+console.info = console.error;
+
+const { default: dotenv } = await import('dotenv');
+const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+const { default: configManager } = await import('./src/config/index.js');
+const { initializeDatabase } = await import('./src/database/init.js');
+const { AWSService } = await import('./src/services/aws.js');
+const { BedrockService } = await import('./src/services/bedrock.js');
+const { createMcpServer } = await import('./src/mcp/server.js');
+const { getTenant } = await import('./src/services/tenants.js');
+
+dotenv.config();
+
+const logger = {
+  info: (...args) => console.error(...args),
+  warn: (...args) => console.error(...args),
+  error: (...args) => console.error(...args)
+};
+
+try {
+  const config = await configManager.loadConfig();
+  configManager.validateConfig();
+  await initializeDatabase();
+
+  const awsService = new AWSService();
+  await awsService.initialize(config.aws);
+  const bedrockService = new BedrockService(awsService);
+  await bedrockService.initialize();
+
+  // Reviews started from the assistant are queued for the web server's worker. Progress events only
+  // reach the streams of the process that runs the review, so this process does not claim any.
+
+  const tenant = await getTenant(config.application.mcpTenant);
+  if (!tenant) {
+    throw new Error(`Tenant ${config.application.mcpTenant} not found (MCP_TENANT)`);
+  }
+
+  const server = createMcpServer({ awsService, bedrockService, config, logger, tenant });
+  await server.connect(new StdioServerTransport());
+  console.error('🔌 Well-Architected Reviewer MCP server listening on stdio');
+} catch (error) {
+  console.error('❌ MCP server startup failed:', error);
+  process.exit(1);
+}
@@ -15,6 +15,8 @@ import { initializeDatabase } from './src/database/init.js';
 import { setupRoutes } from './src/routes/index.js';
 import { AWSService } from './src/services/aws.js';
 import { BedrockService } from './src/services/bedrock.js';
+import { ReviewWorker } from './src/services/review-worker.js';
+import { AuthService } from './src/services/auth.js';
 
 // Import routes
 import { analysisRoutes } from './src/routes/analysis.js';
@@ -34,6 +36,8 @@ class WellArchitectedServer {
     this.logger = null;
     this.awsService = null;
     this.bedrockService = null;
+    this.reviewWorker = null;
+    this.authService = null;
     this.database = null;
   }
 
@@ -136,11 +140,25 @@ class WellArchitectedServer {
 
       await this.bedrockService.initialize();
 
+      // Initialize authentication of API callers
+      this.authService = new AuthService();
+      this.authService.initialize(this.config.auth);
+
       // Make services available to routes
       this.app.locals.awsService = () => this.awsService;
       this.app.locals.bedrockService = () => this.bedrockService;
+      this.app.locals.authService = () => this.authService;
       this.app.locals.config = this.config;
 
+      // Run queued reviews, resuming those a previous process left unfinished
+      this.reviewWorker = new ReviewWorker({
+        awsService: this.awsService,
+        bedrockService: this.bedrockService,
+        logger: this.logger,
+        concurrency: this.config.application.reviewConcurrency
+      });
+      await this.reviewWorker.start();
+
       this.logger.info('✅ All services initialized successfully');
 
       // Log service status
@@ -269,6 +287,9 @@ class WellArchitectedServer {
   async gracefulShutdown() {
     console.log('\n🔄 Graceful shutdown initiated...');
     
+    // Stop taking review jobs; running ones resume on the next start
+    this.reviewWorker?.stop();
+
     // Close server
     this.server?.close(() => {
       console.log('✅ Server closed');
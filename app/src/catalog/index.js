@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CATALOG_PATH = path.join(__dirname, 'wellarchitected.json');
+
+// Alias of the built-in lens, as in the Well-Architected Tool
+export const DEFAULT_LENS_ALIAS = 'wellarchitected';
+
+export const RISK_LEVELS = ['HIGH_RISK', 'MEDIUM_RISK', 'LOW_RISK', 'NO_RISK'];
+
+// Like the Well-Architected Tool, every question gets a "None of these" choice with the id <questionId>_no
+export const NONE_CHOICE_TITLE = 'None of these';
+export const noneChoiceKey = (questionKey) => `${questionKey}_no`;
+
+// The catalog uses the Well-Architected Tool custom lens format, so official and custom lenses share one loader
+export const loadCatalog = (catalogPath = DEFAULT_CATALOG_PATH) => {
+  const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  return normalizeCatalog(catalog);
+};
+
+export const normalizeCatalog = (catalog) => {
+  if (!catalog.name || !Array.isArray(catalog.pillars) || catalog.pillars.length === 0) {
+    throw new Error('A catalog needs a name and at least one pillar');
+  }
+
+  const questionKeys = new Set();
+
+  const pillars = catalog.pillars.map(pillar => {
+    if (!pillar.id || !pillar.name || !Array.isArray(pillar.questions)) {
+      throw new Error('Each pillar needs an id, a name and a questions array');
+    }
+
+    const questions = pillar.questions.map(question => {
+      if (!question.id || !question.title || !Array.isArray(question.choices) || question.choices.length === 0) {
+        throw new Error(`Question ${question.id || '(without id)'} needs an id, a title and at least one choice`);
+      }
+      if (questionKeys.has(question.id)) {
+        throw new Error(`Question ${question.id} is defined more than once`);
+      }
+      questionKeys.add(question.id);
+
+      const choices = question.choices.map(choice => {
+        if (!choice.id || !choice.title) {
+          throw new Error(`Every choice of question ${question.id} needs an id and a title`);
+        }
+        return {
+          id: choice.id,
+          title: choice.title,
+          helpfulResource: choice.helpfulResource || null,
+          improvementPlan: choice.improvementPlan || null,
+          none: false
+        };
+      });
+
+      const choiceKeys = new Set(choices.map(choice => choice.id));
+      if (choiceKeys.size !== choices.length) {
+        throw new Error(`Question ${question.id} has duplicate choice ids`);
+      }
+
+      const noneKey = noneChoiceKey(question.id);
+      if (!choiceKeys.has(noneKey)) {
+        choices.push({ id: noneKey, title: NONE_CHOICE_TITLE, helpfulResource: null, improvementPlan: null, none: true });
+      } else {
+        choices.find(choice => choice.id === noneKey).none = true;
+      }
+
+      const riskRules = question.riskRules || [];
+      riskRules.forEach(rule => validateRiskRule(question.id, rule, choiceKeys));
+
+      return {
+        id: question.id,
+        title: question.title,
+        description: question.description || null,
+        category: question.category || null,
+        helpfulResource: question.helpfulResource || null,
+        choices,
+        riskRules
+      };
+    });
+
+    return {
+      id: pillar.id,
+      name: pillar.name,
+      description: pillar.description || null,
+      questions
+    };
+  });
+
+  return {
+    name: catalog.name,
+    version: catalog.version || null,
+    description: catalog.description || null,
+    pillars
+  };
+};
+
+const validateRiskRule = (questionKey, rule, choiceKeys) => {
+  if (!rule.condition || !RISK_LEVELS.includes(rule.risk)) {
+    throw new Error(`Question ${questionKey} has a risk rule without a condition or with an unknown risk`);
+  }
+  if (rule.condition === 'default') {
+    return;
+  }
+
+  let referenced;
+  try {
+    referenced = parseCondition(rule.condition).choices;
+  } catch (error) {
+    throw new Error(`Risk rule of question ${questionKey} is not a valid condition: ${error.message}`);
+  }
+
+  const unknown = referenced.filter(token => !choiceKeys.has(token));
+  if (unknown.length > 0) {
+    throw new Error(`Risk rule of question ${questionKey} references unknown choices: ${unknown.join(', ')}`);
+  }
+};
+
+// Returns the risk of the first rule whose condition holds for the selected choices, like the
+// Well-Architected Tool does, or null when no rule applies
+export const evaluateRiskRules = (riskRules = [], selectedChoices = []) => {
+  const selected = new Set(selectedChoices);
+  const rule = riskRules.find(candidate => candidate.condition === 'default' ||
+    parseCondition(candidate.condition).evaluate(selected));
+  return rule ? rule.risk : null;
+};
+
+// Conditions combine choice ids with !, &&, || and parentheses, e.g. "OPS01_BP01 && (OPS01_BP02 || !OPS01_no)"
+const parseCondition = (condition) => {
+  const tokens = condition.match(/&&|\|\||!|\(|\)|[^\s&|!()]+/g) || [];
+  const choices = [];
+  let index = 0;
+
+  const expect = (token) => {
+    if (tokens[index] !== token) {
+      throw new Error(`expected ${token} at token ${index + 1}`);
+    }
+    index++;
+  };
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (tokens[index] === '||') {
+      index++;
+      operands.push(parseAnd());
+    }
+    return (selected) => operands.some(operand => operand(selected));
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (tokens[index] === '&&') {
+      index++;
+      operands.push(parseUnary());
+    }
+    return (selected) => operands.every(operand => operand(selected));
+  };
+
+  const parseUnary = () => {
+    const token = tokens[index];
+    if (token === '!') {
+      index++;
+      const operand = parseUnary();
+      return (selected) => !operand(selected);
+    }
+    if (token === '(') {
+      index++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token === undefined || ['&&', '||', ')'].includes(token)) {
+      throw new Error(`expected a choice id at token ${index + 1}`);
+    }
+    index++;
+    choices.push(token);
+    return (selected) => selected.has(token);
+  };
+
+  const evaluate = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`unexpected ${tokens[index]} at token ${index + 1}`);
+  }
+
+  return { evaluate, choices };
+};
@@ -1,4 +1,13 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+const AUTH_MODES = ['enabled', 'disabled'];
+// The roles of services/auth.js
+const ROLES = ['read-only', 'reviewer', 'admin'];
 
 // Load .env file from root directory
 dotenv.config();
@@ -17,7 +26,24 @@ class ConfigManager {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
         sessionToken: process.env.AWS_SESSION_TOKEN,
-        region: process.env.AWS_DEFAULT_REGION || process.env.AWS_REGION || 'us-east-1'
+        region: process.env.AWS_DEFAULT_REGION || process.env.AWS_REGION || 'us-east-1',
+        // Regions scanned by regional collectors; "all" expands to every enabled region
+        regions: this.parseList(process.env.AWS_REGIONS),
+        // Role assumed in target accounts for cross-account reviews
+        reviewRoleName: process.env.AWS_REVIEW_ROLE_NAME,
+        reviewExternalId: process.env.AWS_REVIEW_EXTERNAL_ID,
+        // Upper bounds for paginated collections
+        limits: {
+          ...(process.env.AWS_MAX_ITEMS && { maxItems: parseInt(process.env.AWS_MAX_ITEMS) }),
+          ...(process.env.AWS_MAX_CONFIG_RULES && { maxConfigRules: parseInt(process.env.AWS_MAX_CONFIG_RULES) }),
+          ...(process.env.AWS_MAX_CONFIG_EVALUATIONS && { maxEvaluationsPerRule: parseInt(process.env.AWS_MAX_CONFIG_EVALUATIONS) }),
+          ...(process.env.AWS_MAX_TRAIL_EVENTS && { maxTrailEvents: parseInt(process.env.AWS_MAX_TRAIL_EVENTS) })
+        },
+        // Offline mode: "replay" serves AWS and Bedrock responses from disk, "record" captures live ones
+        fixtures: {
+          mode: (process.env.FIXTURE_MODE || 'off').toLowerCase(),
+          directory: path.resolve(process.env.FIXTURE_DIR || path.join(__dirname, '../../fixtures/default'))
+        }
       },
       bedrock: {
         agentId: process.env.BEDROCK_AGENT_ID,
@@ -26,10 +52,34 @@ class ConfigManager {
         modelId: process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0',
         agentOnly: this.parseBoolean(process.env.BEDROCK_AGENT_ONLY) ?? false
       },
+      auth: {
+        // "disabled" leaves the API open, as every caller gets the admin role
+        mode: (process.env.AUTH_MODE || 'enabled').toLowerCase(),
+        // Admin key for bootstrapping; further keys are created through /api/auth/keys
+        adminApiKey: process.env.AUTH_ADMIN_API_KEY,
+        // OIDC access tokens: signature keys come from the JWKS file, the JWKS URI or the issuer's discovery document
+        jwt: {
+          issuer: process.env.AUTH_JWT_ISSUER,
+          audience: process.env.AUTH_JWT_AUDIENCE,
+          jwksUri: process.env.AUTH_JWT_JWKS_URI,
+          jwksFile: process.env.AUTH_JWT_JWKS_FILE,
+          rolesClaim: process.env.AUTH_JWT_ROLES_CLAIM || 'roles',
+          // group=role pairs, e.g. wa-admins=admin,wa-reviewers=reviewer
+          roleMapping: this.parseMapping(process.env.AUTH_JWT_ROLE_MAPPING),
+          defaultRole: process.env.AUTH_JWT_DEFAULT_ROLE,
+          // Claim naming the caller's tenant; tokens without it belong to the default tenant (empty: rejected)
+          tenantClaim: process.env.AUTH_JWT_TENANT_CLAIM || 'tenant',
+          defaultTenant: process.env.AUTH_JWT_DEFAULT_TENANT ?? 'default'
+        }
+      },
       application: {
         port: parseInt(process.env.PORT) || 8080,
         logLevel: process.env.LOG_LEVEL || 'info',
         databasePath: process.env.DATABASE_PATH || '/var/app/data/well_architected.db',
+        // Reviews run by the background worker at the same time
+        reviewConcurrency: parseInt(process.env.REVIEW_CONCURRENCY) || 2,
+        // Tenant the stdio MCP server acts in
+        mcpTenant: process.env.MCP_TENANT || 'default',
         nodeEnv: process.env.NODE_ENV || 'production'
       }
     };
@@ -45,16 +95,53 @@ class ConfigManager {
     return null;
   }
 
+  parseList(value) {
+    if (!value) return [];
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  parseMapping(value) {
+    return Object.fromEntries(this.parseList(value).map(pair => {
+      const separator = pair.lastIndexOf('=');
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+    }));
+  }
+
   validateConfig() {
     const config = this.config;
     const errors = [];
 
-    // Validate AWS credentials
-    if (!config.aws.accessKeyId) {
-      errors.push('AWS Access Key ID is required');
+    if (!FIXTURE_MODES.includes(config.aws.fixtures.mode)) {
+      errors.push(`FIXTURE_MODE must be one of: ${FIXTURE_MODES.join(', ')}`);
     }
-    if (!config.aws.secretAccessKey) {
-      errors.push('AWS Secret Access Key is required');
+
+    // Validate AWS credentials (replayed fixtures never reach AWS)
+    if (config.aws.fixtures.mode !== 'replay') {
+      if (!config.aws.accessKeyId) {
+        errors.push('AWS Access Key ID is required');
+      }
+      if (!config.aws.secretAccessKey) {
+        errors.push('AWS Secret Access Key is required');
+      }
+    }
+
+    // Validate authentication
+    const auth = config.auth;
+    if (!AUTH_MODES.includes(auth.mode)) {
+      errors.push(`AUTH_MODE must be one of: ${AUTH_MODES.join(', ')}`);
+    }
+    const mappedRoles = Object.values(auth.jwt.roleMapping);
+    if ([...mappedRoles, ...(auth.jwt.defaultRole ? [auth.jwt.defaultRole] : [])].some(role => !ROLES.includes(role))) {
+      errors.push(`AUTH_JWT_ROLE_MAPPING and AUTH_JWT_DEFAULT_ROLE roles must be one of: ${ROLES.join(', ')}`);
+    }
+    if (auth.jwt.jwksFile && !fs.existsSync(auth.jwt.jwksFile)) {
+      errors.push(`AUTH_JWT_JWKS_FILE not found: ${auth.jwt.jwksFile}`);
+    }
+    if ((auth.jwt.jwksFile || auth.jwt.jwksUri || auth.jwt.audience) && !auth.jwt.issuer) {
+      errors.push('AUTH_JWT_ISSUER is required for token authentication');
+    }
+    if (auth.mode === 'enabled' && !auth.adminApiKey && !auth.jwt.issuer) {
+      console.log('⚠️  No AUTH_ADMIN_API_KEY or AUTH_JWT_ISSUER set: only API keys stored in the database are accepted');
     }
 
     // Validate Bedrock configuration
@@ -85,6 +172,10 @@ class ConfigManager {
     return this.config?.bedrock;
   }
 
+  getAuth() {
+    return this.config?.auth;
+  }
+
   getApplication() {
     return this.config?.application;
   }
@@ -101,13 +192,17 @@ class ConfigManager {
     console.log('\n🔧 Configuration Summary:');
     console.log('========================');
     console.log(`AWS Region: ${this.config.aws.region}`);
+    console.log(`AWS Review Regions: ${this.config.aws.regions.length > 0 ? this.config.aws.regions.join(', ') : this.config.aws.region}`);
     console.log(`AWS Access Key: ${this.config.aws.accessKeyId ? '***configured***' : 'NOT SET'}`);
     console.log(`AWS Secret Key: ${this.config.aws.secretAccessKey ? '***configured***' : 'NOT SET'}`);
+    console.log(`AWS Review Role: ${this.config.aws.reviewRoleName || 'NOT SET'}`);
     console.log(`AWS Session Token: ${this.config.aws.sessionToken ? '***configured***' : 'NOT SET'}`);
+    console.log(`Fixture Mode: ${this.config.aws.fixtures.mode === 'off' ? 'OFF' : `${this.config.aws.fixtures.mode.toUpperCase()} (${this.config.aws.fixtures.directory})`}`);
     console.log(`Bedrock Agent ID: ${this.config.bedrock.agentId || 'NOT SET'}`);
     console.log(`Bedrock Agent Alias: ${this.config.bedrock.agentAliasId}`);
     console.log(`Bedrock Region: ${this.config.bedrock.region}`);
     console.log(`Agent Only Mode: ${this.config.bedrock.agentOnly ? 'ENABLED' : 'DISABLED'}`);
+    console.log(`Authentication: ${this.config.auth.mode === 'disabled' ? 'DISABLED' : `API keys${this.config.auth.jwt.issuer ? `, JWT (${this.config.auth.jwt.issuer})` : ''}`}`);
     console.log(`Application Port: ${this.config.application.port}`);
     console.log(`Log Level: ${this.config.application.logLevel}`);
     console.log('========================\n');
@@ -2,17 +2,28 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { loadCatalog, DEFAULT_LENS_ALIAS } from '../catalog/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Tenant that data from before tenants, and callers without one, belong to
+export const DEFAULT_TENANT = 'default';
+
+// Tables whose rows belong to a tenant. Every query reading them filters on tenant_id, so new tables
+// holding review data belong in this list.
+export const TENANT_TABLES = [
+  'analysis_sessions', 'answers', 'mcp_analysis', 'findings', 'suppressions', 'improvement_items',
+  'workloads', 'milestones', 'review_jobs', 'api_keys'
+];
+
 class DatabaseWrapper {
   constructor() {
     this.db = null;
   }
 
   async initialize() {
-    const dbPath = path.join(__dirname, '../../data/well_architected.db');
+    const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/well_architected.db');
     
     // Ensure data directory exists
     fs.mkdirSync(path.dirname(dbPath), { recursive: true });
@@ -57,6 +68,19 @@ class DatabaseWrapper {
     }
   }
 
+  // Runs the callback's statements atomically; better-sqlite3 is synchronous, so no other query interleaves
+  async transaction(callback) {
+    this.db.exec('BEGIN');
+    try {
+      const result = await callback();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
   close() {
     if (this.db) {
       this.db.close();
@@ -73,34 +97,105 @@ export const initializeDatabase = async () => {
   // Create tables
   await createTables();
   
-  // Insert default Well-Architected questions
+  // Load the Well-Architected question catalog
   await insertDefaultQuestions();
   
   return db;
 };
 
+const pillarsTable = (name = 'pillars') => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lens_id INTEGER NOT NULL,
+    pillar_key TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (lens_id, pillar_key),
+    FOREIGN KEY (lens_id) REFERENCES lenses (id)
+  )
+`;
+
+// Workload names are unique within a tenant
+const workloadsTable = (name = 'workloads') => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}',
+    name TEXT NOT NULL,
+    description TEXT,
+    owner TEXT,
+    environment TEXT NOT NULL CHECK (environment IN ('PRODUCTION', 'PREPRODUCTION')),
+    account_ids TEXT,
+    regions TEXT,
+    tags TEXT,
+    lenses TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, name)
+  )
+`;
+
+const questionsTable = (name = 'questions') => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lens_id INTEGER NOT NULL,
+    pillar_id INTEGER,
+    question_text TEXT NOT NULL,
+    question_key TEXT NOT NULL,
+    category TEXT,
+    priority INTEGER DEFAULT 1,
+    description TEXT,
+    helpful_resource_url TEXT,
+    risk_rules TEXT,
+    position INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (lens_id, question_key),
+    FOREIGN KEY (lens_id) REFERENCES lenses (id),
+    FOREIGN KEY (pillar_id) REFERENCES pillars (id)
+  )
+`;
+
 const createTables = async () => {
-  // Well-Architected pillars
+  // Lenses: the Well-Architected Framework itself plus imported custom lenses, one row per version
   await db.run(`
-    CREATE TABLE IF NOT EXISTS pillars (
+    CREATE TABLE IF NOT EXISTS lenses (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
+      alias TEXT NOT NULL,
+      version TEXT NOT NULL,
+      name TEXT NOT NULL,
       description TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      definition TEXT NOT NULL,
+      builtin INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (alias, version)
     )
   `);
 
-  // Well-Architected questions
+  // Pillars and questions belong to a lens version
+  await db.run(pillarsTable());
+  await db.run(questionsTable());
+
+  // Columns added after the initial schema, needed to migrate databases created before lenses
+  await addColumnIfMissing('questions', 'description', 'TEXT');
+  await addColumnIfMissing('questions', 'helpful_resource_url', 'TEXT');
+  await addColumnIfMissing('questions', 'risk_rules', 'TEXT');
+  await addColumnIfMissing('questions', 'position', 'INTEGER');
+
+  // Best-practice choices of each question, including its "None of these" choice
   await db.run(`
-    CREATE TABLE IF NOT EXISTS questions (
+    CREATE TABLE IF NOT EXISTS question_choices (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      pillar_id INTEGER,
-      question_text TEXT NOT NULL,
-      question_key TEXT UNIQUE,
-      category TEXT,
-      priority INTEGER DEFAULT 1,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (pillar_id) REFERENCES pillars (id)
+      question_id INTEGER NOT NULL,
+      choice_key TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      helpful_resource_url TEXT,
+      improvement_plan TEXT,
+      improvement_plan_url TEXT,
+      is_none INTEGER DEFAULT 0,
+      position INTEGER,
+      UNIQUE (question_id, choice_key),
+      FOREIGN KEY (question_id) REFERENCES questions (id)
     )
   `);
 
@@ -119,6 +214,42 @@ const createTables = async () => {
     )
   `);
 
+  // selected_choices is a JSON array of choice keys; answer_text keeps the free-text answer.
+  // risk (HIGH, MEDIUM, NONE or UNANSWERED) is derived from them when the answer is saved.
+  await addColumnIfMissing('answers', 'selected_choices', 'TEXT');
+  await addColumnIfMissing('answers', 'notes', 'TEXT');
+  await addColumnIfMissing('answers', 'risk', 'TEXT');
+  // Caller who gave a user answer; null for automatic answers and when authentication is disabled
+  await addColumnIfMissing('answers', 'answered_by', 'TEXT');
+
+  // One answer per question and session; older databases could hold duplicates, of which the latest wins
+  await db.run(`
+    DELETE FROM answers WHERE id NOT IN (
+      SELECT MAX(id) FROM answers GROUP BY question_id, session_id
+    )
+  `);
+  await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_answers_question_session ON answers (question_id, session_id)');
+
+  // Tenants: teams or business units sharing the reviewer, each with the AWS accounts its reviews may target.
+  // aws_account_ids and aws_regions are JSON arrays; the role defaults to AWS_REVIEW_ROLE_NAME.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS tenants (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      aws_account_ids TEXT,
+      aws_role_name TEXT,
+      aws_external_id TEXT,
+      aws_regions TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('INSERT OR IGNORE INTO tenants (id, name) VALUES (?, ?)', [DEFAULT_TENANT, 'Default']);
+
+  // Workloads: what is reviewed, with the accounts, regions and lenses its reviews cover (JSON arrays)
+  await db.run(workloadsTable());
+  await migrateWorkloadsToTenants();
+
   // Analysis sessions
   await db.run(`
     CREATE TABLE IF NOT EXISTS analysis_sessions (
@@ -133,16 +264,52 @@ const createTables = async () => {
     )
   `);
 
-  // Check if progress_data column exists, if not add it
-  try {
-    await db.run(`SELECT progress_data FROM analysis_sessions LIMIT 1`);
-  } catch (error) {
-    if (error.code === 'SQLITE_ERROR' && error.message.includes('no such column: progress_data')) {
-      console.log('Adding progress_data column to analysis_sessions table...');
-      await db.run(`ALTER TABLE analysis_sessions ADD COLUMN progress_data TEXT`);
-      console.log('✅ progress_data column added successfully');
-    }
-  }
+  // Columns added after the initial schema
+  await addColumnIfMissing('analysis_sessions', 'progress_data', 'TEXT');
+  await addColumnIfMissing('analysis_sessions', 'account_id', 'TEXT');
+  await addColumnIfMissing('analysis_sessions', 'workload_id', 'TEXT REFERENCES workloads (id)');
+  await addColumnIfMissing('analysis_sessions', 'created_by', 'TEXT');
+
+  // Lens versions a review covers
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS session_lenses (
+      session_id TEXT NOT NULL,
+      lens_id INTEGER NOT NULL,
+      PRIMARY KEY (session_id, lens_id),
+      FOREIGN KEY (session_id) REFERENCES analysis_sessions (id),
+      FOREIGN KEY (lens_id) REFERENCES lenses (id)
+    )
+  `);
+
+  await migrateToLenses();
+
+  // Named snapshots of a workload's completed reviews. The risk summary and per-question risks are
+  // copied, so later edits to the reviews do not change a milestone.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS milestones (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workload_id TEXT NOT NULL,
+      milestone_number INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      risk_summary TEXT NOT NULL,
+      question_risks TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (workload_id, milestone_number),
+      UNIQUE (workload_id, name),
+      FOREIGN KEY (workload_id) REFERENCES workloads (id)
+    )
+  `);
+
+  // Reviews a milestone was taken from, one per account of the workload
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS milestone_sessions (
+      milestone_id INTEGER NOT NULL,
+      session_id TEXT NOT NULL,
+      PRIMARY KEY (milestone_id, session_id),
+      FOREIGN KEY (milestone_id) REFERENCES milestones (id),
+      FOREIGN KEY (session_id) REFERENCES analysis_sessions (id)
+    )
+  `);
 
   // MCP analysis results
   await db.run(`
@@ -156,92 +323,318 @@ const createTables = async () => {
     )
   `);
 
+  // Normalized findings from all collectors (finding_id is a stable fingerprint)
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS findings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      finding_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      type TEXT,
+      title TEXT,
+      description TEXT,
+      resource TEXT,
+      region TEXT,
+      account_id TEXT,
+      pillar TEXT,
+      question_key TEXT,
+      severity TEXT,
+      evidence TEXT,
+      remediation TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (session_id, finding_id),
+      FOREIGN KEY (session_id) REFERENCES analysis_sessions (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_findings_session ON findings (session_id)');
+
+  // Accepted-risk / false-positive decisions, matched to findings of later reviews by finding_id
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS suppressions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      finding_id TEXT NOT NULL,
+      account_id TEXT,
+      source TEXT,
+      type TEXT,
+      title TEXT,
+      resource TEXT,
+      region TEXT,
+      reason TEXT NOT NULL CHECK (reason IN ('accepted_risk', 'false_positive')),
+      justification TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_suppressions_finding ON suppressions (finding_id)');
+
+  // Improvement items: recommendations of final reports (or added by hand) tracked to completion.
+  // finding_ids and question_keys are JSON arrays; finding ids are fingerprints, so they match later reviews.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS improvement_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT,
+      workload_id TEXT,
+      account_id TEXT,
+      title TEXT NOT NULL,
+      description TEXT,
+      pillar TEXT,
+      priority TEXT CHECK (priority IN ('high', 'medium', 'low')),
+      horizon TEXT,
+      owner TEXT,
+      due_date TEXT,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'done', 'wont_fix')),
+      finding_ids TEXT,
+      question_keys TEXT,
+      source TEXT NOT NULL,
+      closed_at DATETIME,
+      closed_reason TEXT,
+      resolved_in_session_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES analysis_sessions (id),
+      FOREIGN KEY (workload_id) REFERENCES workloads (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_improvement_items_account ON improvement_items (account_id, status)');
+
+  // One background job per review session. step is the last step that finished and checkpoint holds
+  // its output, so a job interrupted by a restart resumes after it. heartbeat_at is refreshed while
+  // a worker runs the job; a stale heartbeat means the worker is gone.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS review_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+      step TEXT,
+      options TEXT,
+      checkpoint TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      cancel_requested INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      worker_id TEXT,
+      heartbeat_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES analysis_sessions (id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_review_jobs_status ON review_jobs (status, id)');
+
+  // API keys and their roles. Only a SHA-256 hash of each key is stored; key_prefix identifies it in listings.
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('read-only', 'reviewer', 'admin')),
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    )
+  `);
+
+  // Rows from before tenants belong to the default tenant
+  for (const table of TENANT_TABLES) {
+    await addColumnIfMissing(table, 'tenant_id', `TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`);
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_tenant ON ${table} (tenant_id)`);
+  }
+
   console.log('Database tables created successfully');
 };
 
-const insertDefaultQuestions = async () => {
-  // Insert pillars
-  const pillars = [
-    { name: 'Operational Excellence', description: 'The ability to support development and run workloads effectively' },
-    { name: 'Security', description: 'The ability to protect data, systems, and assets' },
-    { name: 'Reliability', description: 'The ability to recover from infrastructure or service disruptions' },
-    { name: 'Performance Efficiency', description: 'The ability to use computing resources efficiently' },
-    { name: 'Cost Optimization', description: 'The ability to run systems to deliver business value at the lowest price point' },
-    { name: 'Sustainability', description: 'The ability to continually improve sustainability impacts' }
-  ];
-
-  for (const pillar of pillars) {
-    try {
+const addColumnIfMissing = async (table, column, definition) => {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(existing => existing.name === column)) {
+    console.log(`Adding ${column} column to ${table} table...`);
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ ${column} column added successfully`);
+  }
+};
+
+// Workload names used to be unique across the database. The table is rebuilt with a tenant_id column
+// and names unique per tenant, renaming the new table into place so references to it are kept.
+const migrateWorkloadsToTenants = async () => {
+  const columns = await db.all('PRAGMA table_info(workloads)');
+  if (columns.some(column => column.name === 'tenant_id')) {
+    return;
+  }
+
+  console.log('Moving workloads under the default tenant...');
+  await db.run('PRAGMA foreign_keys = OFF');
+  try {
+    await db.transaction(async () => {
+      await db.run(workloadsTable('workloads_new'));
+      await db.run(`
+        INSERT INTO workloads_new (id, name, description, owner, environment, account_ids, regions, tags, lenses,
+                                   created_at, updated_at)
+        SELECT id, name, description, owner, environment, account_ids, regions, tags, lenses, created_at, updated_at
+        FROM workloads
+      `);
+      await db.run('DROP TABLE workloads');
+      await db.run('ALTER TABLE workloads_new RENAME TO workloads');
+    });
+  } finally {
+    await db.run('PRAGMA foreign_keys = ON');
+  }
+};
+
+// Databases created before lenses had one global set of pillars and questions, unique by name and key.
+// SQLite cannot change those constraints in place, so both tables are rebuilt under the built-in lens,
+// keeping their ids for the answers and choices that reference them. The new tables are renamed into
+// place rather than the old ones renamed away, which would repoint those references.
+const migrateToLenses = async () => {
+  const columns = await db.all('PRAGMA table_info(pillars)');
+  if (columns.some(column => column.name === 'lens_id')) {
+    return;
+  }
+
+  console.log('Moving pillars and questions under the built-in lens...');
+  const lensId = await storeLensVersion(loadCatalog(), { alias: DEFAULT_LENS_ALIAS, builtin: true });
+
+  await db.run('PRAGMA foreign_keys = OFF');
+  try {
+    await db.transaction(async () => {
+      await db.run(pillarsTable('pillars_new'));
       await db.run(
-        'INSERT OR IGNORE INTO pillars (name, description) VALUES (?, ?)',
-        [pillar.name, pillar.description]
+        `INSERT INTO pillars_new (id, lens_id, pillar_key, name, description, created_at)
+         SELECT id, ?, name, name, description, created_at FROM pillars`,
+        [lensId]
       );
-    } catch (error) {
-      // Pillar already exists, continue
-    }
+      await db.run('DROP TABLE pillars');
+      await db.run('ALTER TABLE pillars_new RENAME TO pillars');
+
+      await db.run(questionsTable('questions_new'));
+      await db.run(
+        `INSERT INTO questions_new (id, lens_id, pillar_id, question_text, question_key, category, priority, description,
+                                    helpful_resource_url, risk_rules, position, created_at)
+         SELECT id, ?, pillar_id, question_text, question_key, category, priority, description,
+                helpful_resource_url, risk_rules, position, created_at
+         FROM questions`,
+        [lensId]
+      );
+      await db.run('DROP TABLE questions');
+      await db.run('ALTER TABLE questions_new RENAME TO questions');
+
+      // Existing reviews covered the framework only
+      await db.run(
+        'INSERT OR IGNORE INTO session_lenses (session_id, lens_id) SELECT id, ? FROM analysis_sessions',
+        [lensId]
+      );
+    });
+  } finally {
+    await db.run('PRAGMA foreign_keys = ON');
   }
 
-  // Sample questions for each pillar
-  const questions = [
-    // Operational Excellence
-    { pillar: 'Operational Excellence', key: 'OPS01', text: 'How do you determine what your priorities are?', category: 'Organization' },
-    { pillar: 'Operational Excellence', key: 'OPS02', text: 'How do you structure your organization to support your business outcomes?', category: 'Organization' },
-    { pillar: 'Operational Excellence', key: 'OPS03', text: 'How does your organizational culture support your business outcomes?', category: 'Organization' },
-    { pillar: 'Operational Excellence', key: 'OPS04', text: 'How do you design your workload so that you can understand its state?', category: 'Prepare' },
-    { pillar: 'Operational Excellence', key: 'OPS05', text: 'How do you reduce defects, ease remediation, and improve flow into production?', category: 'Prepare' },
-    
-    // Security
-    { pillar: 'Security', key: 'SEC01', text: 'How do you securely operate your workload?', category: 'Security Foundations' },
-    { pillar: 'Security', key: 'SEC02', text: 'How do you manage identities for people and machines?', category: 'Identity and Access Management' },
-    { pillar: 'Security', key: 'SEC03', text: 'How do you manage permissions for people and machines?', category: 'Identity and Access Management' },
-    { pillar: 'Security', key: 'SEC04', text: 'How do you detect and investigate security events?', category: 'Detection' },
-    { pillar: 'Security', key: 'SEC05', text: 'How do you protect your network resources?', category: 'Infrastructure Protection' },
-    
-    // Reliability
-    { pillar: 'Reliability', key: 'REL01', text: 'How do you manage service quotas and constraints?', category: 'Foundations' },
-    { pillar: 'Reliability', key: 'REL02', text: 'How do you plan your network topology?', category: 'Foundations' },
-    { pillar: 'Reliability', key: 'REL03', text: 'How do you design your workload service architecture?', category: 'Workload Architecture' },
-    { pillar: 'Reliability', key: 'REL04', text: 'How do you design interactions in a distributed system to prevent failures?', category: 'Workload Architecture' },
-    { pillar: 'Reliability', key: 'REL05', text: 'How do you design interactions in a distributed system to mitigate or withstand failures?', category: 'Workload Architecture' },
-    
-    // Performance Efficiency
-    { pillar: 'Performance Efficiency', key: 'PERF01', text: 'How do you select the best performing architecture?', category: 'Selection' },
-    { pillar: 'Performance Efficiency', key: 'PERF02', text: 'How do you select your compute solution?', category: 'Selection' },
-    { pillar: 'Performance Efficiency', key: 'PERF03', text: 'How do you select your storage solution?', category: 'Selection' },
-    { pillar: 'Performance Efficiency', key: 'PERF04', text: 'How do you select your database solution?', category: 'Selection' },
-    { pillar: 'Performance Efficiency', key: 'PERF05', text: 'How do you configure your networking solution?', category: 'Selection' },
-    
-    // Cost Optimization
-    { pillar: 'Cost Optimization', key: 'COST01', text: 'How do you implement cloud financial management?', category: 'Practice Cloud Financial Management' },
-    { pillar: 'Cost Optimization', key: 'COST02', text: 'How do you govern usage?', category: 'Expenditure and Usage Awareness' },
-    { pillar: 'Cost Optimization', key: 'COST03', text: 'How do you monitor usage and cost?', category: 'Expenditure and Usage Awareness' },
-    { pillar: 'Cost Optimization', key: 'COST04', text: 'How do you decommission resources?', category: 'Expenditure and Usage Awareness' },
-    { pillar: 'Cost Optimization', key: 'COST05', text: 'How do you evaluate cost when you select services?', category: 'Cost-Effective Resources' },
-    
-    // Sustainability
-    { pillar: 'Sustainability', key: 'SUS01', text: 'How do you select AWS Regions for your workload?', category: 'Region Selection' },
-    { pillar: 'Sustainability', key: 'SUS02', text: 'How do you take advantage of user behavior patterns?', category: 'User Behavior Patterns' },
-    { pillar: 'Sustainability', key: 'SUS03', text: 'How do you take advantage of software and architecture patterns?', category: 'Software and Architecture Patterns' },
-    { pillar: 'Sustainability', key: 'SUS04', text: 'How do you take advantage of data patterns?', category: 'Data Patterns' },
-    { pillar: 'Sustainability', key: 'SUS05', text: 'How do you select and use hardware patterns for your workload?', category: 'Hardware Patterns' }
-  ];
-
-  for (const question of questions) {
-    try {
-      // Get pillar ID
-      const pillar = await db.get('SELECT id FROM pillars WHERE name = ?', [question.pillar]);
-      if (pillar) {
+  // Legacy pillar rows were keyed by name; match them to the catalog's pillar ids
+  for (const pillar of loadCatalog().pillars) {
+    await db.run('UPDATE pillars SET pillar_key = ? WHERE lens_id = ? AND name = ?', [pillar.id, lensId, pillar.name]);
+  }
+
+  console.log('✅ Pillars and questions moved under the built-in lens');
+};
+
+const storeLensVersion = async (lens, { alias, version = lens.version, builtin = false }) => {
+  await db.run(
+    `INSERT INTO lenses (alias, version, name, description, definition, builtin)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(alias, version) DO UPDATE SET
+       name = excluded.name,
+       description = excluded.description,
+       definition = excluded.definition`,
+    [alias, version, lens.name, lens.description, JSON.stringify(lens), builtin ? 1 : 0]
+  );
+  const { id } = await db.get('SELECT id FROM lenses WHERE alias = ? AND version = ?', [alias, version]);
+  return id;
+};
+
+// Upserts the catalog on every start; a new catalog version becomes a new version of the built-in lens
+const insertDefaultQuestions = async () => {
+  const catalog = loadCatalog();
+  await storeLens(catalog, { alias: DEFAULT_LENS_ALIAS, builtin: true });
+  console.log(`📚 ${catalog.name} catalog loaded (version ${catalog.version}): ${countQuestions(catalog)} questions`);
+};
+
+const countQuestions = (lens) => lens.pillars.reduce((sum, pillar) => sum + pillar.questions.length, 0);
+
+// Stores a normalized lens (see catalog/index.js) as a version of alias and returns its id. An existing
+// version is updated in place, which is how the built-in catalog picks up edits on start.
+export const storeLens = async (lens, { alias, version = lens.version, builtin = false }) => {
+  let position = 0;
+
+  return db.transaction(async () => {
+    const lensId = await storeLensVersion(lens, { alias, version, builtin });
+
+    for (const pillar of lens.pillars) {
+      await db.run(
+        `INSERT INTO pillars (lens_id, pillar_key, name, description) VALUES (?, ?, ?, ?)
+         ON CONFLICT(lens_id, pillar_key) DO UPDATE SET name = excluded.name, description = excluded.description`,
+        [lensId, pillar.id, pillar.name, pillar.description]
+      );
+      const { id: pillarId } = await db.get(
+        'SELECT id FROM pillars WHERE lens_id = ? AND pillar_key = ?',
+        [lensId, pillar.id]
+      );
+
+      for (const question of pillar.questions) {
+        await db.run(
+          `INSERT INTO questions (lens_id, pillar_id, question_key, question_text, category, description, helpful_resource_url,
+                                  risk_rules, position)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(lens_id, question_key) DO UPDATE SET
+             pillar_id = excluded.pillar_id,
+             question_text = excluded.question_text,
+             category = excluded.category,
+             description = excluded.description,
+             helpful_resource_url = excluded.helpful_resource_url,
+             risk_rules = excluded.risk_rules,
+             position = excluded.position`,
+          [
+            lensId, pillarId, question.id, question.title, question.category, question.description,
+            question.helpfulResource?.url || null, JSON.stringify(question.riskRules), position++
+          ]
+        );
+        const { id: questionId } = await db.get(
+          'SELECT id FROM questions WHERE lens_id = ? AND question_key = ?',
+          [lensId, question.id]
+        );
+
+        for (const [index, choice] of question.choices.entries()) {
+          await db.run(
+            `INSERT INTO question_choices (question_id, choice_key, title, description, helpful_resource_url,
+                                           improvement_plan, improvement_plan_url, is_none, position)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(question_id, choice_key) DO UPDATE SET
+               title = excluded.title,
+               description = excluded.description,
+               helpful_resource_url = excluded.helpful_resource_url,
+               improvement_plan = excluded.improvement_plan,
+               improvement_plan_url = excluded.improvement_plan_url,
+               is_none = excluded.is_none,
+               position = excluded.position`,
+            [
+              questionId, choice.id, choice.title, choice.helpfulResource?.displayText || null,
+              choice.helpfulResource?.url || null, choice.improvementPlan?.displayText || null,
+              choice.improvementPlan?.url || null, choice.none ? 1 : 0, index
+            ]
+          );
+        }
+
+        // Choices dropped from the catalog disappear; answers keep their selected keys
         await db.run(
-          'INSERT OR IGNORE INTO questions (pillar_id, question_key, question_text, category) VALUES (?, ?, ?, ?)',
-          [pillar.id, question.key, question.text, question.category]
+          `DELETE FROM question_choices WHERE question_id = ? AND choice_key NOT IN (${question.choices.map(() => '?').join(', ')})`,
+          [questionId, ...question.choices.map(choice => choice.id)]
         );
       }
-    } catch (error) {
-      console.error('Error inserting question:', error);
     }
-  }
 
-  console.log('Default Well-Architected questions inserted successfully');
+    return lensId;
+  });
 };
 
 export { db };
@@ -0,0 +1,198 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import db from '../database/init.js';
+import { WellArchitectedReviewService, startReviews } from '../services/well-architected-review.js';
+import { listFindings } from '../services/findings.js';
+import { findLens, getLensDefinition, listLenses } from '../services/lenses.js';
+import { assertRole, principalName } from '../services/auth.js';
+import { findTenantSession, getTenantAwsService } from '../services/tenants.js';
+
+const CATALOG_URI = 'wellarchitected://catalog/{lens}';
+const REPORT_URI = 'wellarchitected://reports/{sessionId}';
+
+// Tool results are JSON text; errors are reported to the model instead of failing the request
+const toolHandler = (handler) => async (args) => {
+  try {
+    const result = await handler(args);
+    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+  } catch (error) {
+    return { isError: true, content: [{ type: 'text', text: error.message }] };
+  }
+};
+
+const jsonResource = (uri, data) => ({
+  contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+});
+
+// Builds an MCP server exposing the reviewer tools, the question catalogs and the completed reports.
+// Each transport connects its own instance. user is the authenticated HTTP caller, whose role limits the
+// tools it can call; it is null over stdio, whose client runs locally with the server's own credentials.
+// tenant is the tenant the client acts in: only its sessions, findings and AWS accounts are reachable.
+export const createMcpServer = ({ awsService, bedrockService, config, logger, user = null, tenant }) => {
+  const server = new McpServer({ name: 'well-architected-reviewer', version: '1.0.0' });
+  const reviewService = new WellArchitectedReviewService(awsService, bedrockService);
+  const withRole = (role, handler) => (args) => {
+    assertRole(user, role);
+    return handler(args);
+  };
+
+  // Sessions of other tenants are reported as missing
+  const assertSession = async (sessionId) => {
+    if (!await findTenantSession(sessionId, tenant.tenantId)) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+  };
+
+  // The report without the raw collector data, which run_collector returns on demand
+  const getReport = async (sessionId) => {
+    await assertSession(sessionId);
+    const { awsAnalysis, ...report } = await reviewService.getFinalReport(sessionId);
+    return report;
+  };
+
+  server.registerTool('start_review', {
+    title: 'Start review',
+    description: 'Start a Well-Architected review of the current account, other accounts or a workload. ' +
+      'The review runs in the background: poll get_review_status until it is in_progress and answer its questions. ' +
+      'Needs the reviewer role.',
+    inputSchema: {
+      workloadId: z.string().optional().describe('Workload the review belongs to; its accounts, regions and lenses are the defaults'),
+      accountId: z.string().optional().describe('12-digit account to review through the review role'),
+      accountIds: z.array(z.string()).optional().describe('Several accounts to review, one session each'),
+      organizationalUnitId: z.string().optional().describe('Review every active account under this organizational unit'),
+      regions: z.union([z.array(z.string()), z.literal('all')]).optional().describe('Regions to scan, or "all"'),
+      lenses: z.array(z.string()).optional().describe('Lens aliases the review covers (default: wellarchitected)'),
+      roleName: z.string().optional().describe('Role assumed in the reviewed accounts'),
+      externalId: z.string().optional().describe('External ID of the review role')
+    }
+  }, toolHandler(withRole('reviewer', request => startReviews(request, { awsService, config, logger, user, tenant }))));
+
+  server.registerTool('get_review_status', {
+    title: 'Get review status',
+    description: 'Progress of a review, its risk summary and the next question to answer with its best-practice choices.',
+    inputSchema: {
+      sessionId: z.string().describe('Review session ID')
+    },
+    annotations: { readOnlyHint: true }
+  }, toolHandler(async ({ sessionId }) => {
+    await assertSession(sessionId);
+    return reviewService.getReviewStatus(sessionId);
+  }));
+
+  server.registerTool('answer_question', {
+    title: 'Answer question',
+    description: 'Answer a question of a review with the IDs of the best-practice choices that apply, free text or both. ' +
+      'Answering the last question generates the final report. Needs the reviewer role.',
+    inputSchema: {
+      sessionId: z.string().describe('Review session ID'),
+      questionKey: z.string().describe('Question key, e.g. SEC02'),
+      selectedChoices: z.array(z.string()).optional().describe('Choice IDs of the question'),
+      answer: z.string().optional().describe('Free-text answer'),
+      notes: z.string().optional().describe('Notes kept with the answer')
+    }
+  }, toolHandler(withRole('reviewer', async ({ sessionId, questionKey, answer, selectedChoices, notes }) => {
+    if (!answer && !(selectedChoices?.length > 0)) {
+      throw new Error('An answer or selected choices are required');
+    }
+    await assertSession(sessionId);
+    return reviewService.submitUserAnswer(sessionId, questionKey, answer, {
+      selectedChoices,
+      notes,
+      answeredBy: principalName(user)
+    });
+  })));
+
+  server.registerTool('list_findings', {
+    title: 'List findings',
+    description: 'Findings of the collectors, most severe first.',
+    inputSchema: {
+      sessionId: z.string().optional(),
+      accountId: z.string().optional(),
+      source: z.string().optional().describe('Collector, e.g. iam or compute'),
+      pillar: z.string().optional().describe('Pillar ID, e.g. security'),
+      questionKey: z.string().optional(),
+      severity: z.enum(['critical', 'high', 'medium', 'low', 'informational']).optional(),
+      region: z.string().optional(),
+      resource: z.string().optional(),
+      status: z.enum(['open', 'suppressed']).optional()
+    },
+    annotations: { readOnlyHint: true }
+  }, toolHandler(async (filters) => {
+    const findings = await listFindings({ ...filters, tenantId: tenant.tenantId });
+    return { count: findings.length, findings };
+  }));
+
+  server.registerTool('run_collector', {
+    title: 'Run collector',
+    description: 'Run one AWS data collector against the tenant\'s account without starting a review. ' +
+      'Needs the reviewer role, and admin for the iam collector.',
+    inputSchema: {
+      collector: z.enum(awsService.getCollectorNames()),
+      regions: z.union([z.array(z.string()), z.literal('all')]).optional().describe('Regions for regional collectors, or "all"')
+    },
+    annotations: { readOnlyHint: true }
+  }, toolHandler(withRole('reviewer', async ({ collector, regions }) => {
+    // The IAM collector reads the credential report, which only admins may see
+    if (collector === 'iam') {
+      assertRole(user, 'admin');
+    }
+    const tenantAwsService = await getTenantAwsService(awsService, tenant, { config });
+    const result = await tenantAwsService.runCollector(collector, { regions });
+    return { collector, ...result };
+  })));
+
+  server.registerTool('get_report', {
+    title: 'Get report',
+    description: 'Final report of a completed review: scores, recommendations, answers, risks, findings and improvement items.',
+    inputSchema: {
+      sessionId: z.string().describe('Review session ID')
+    },
+    annotations: { readOnlyHint: true }
+  }, toolHandler(({ sessionId }) => getReport(sessionId)));
+
+  server.registerResource('question-catalog', new ResourceTemplate(CATALOG_URI, {
+    list: async () => ({
+      resources: (await listLenses()).filter(lens => lens.latest).map(lens => ({
+        uri: CATALOG_URI.replace('{lens}', lens.alias),
+        name: `${lens.name} (${lens.version})`,
+        description: `${lens.questionCount} questions`,
+        mimeType: 'application/json'
+      }))
+    })
+  }), {
+    title: 'Question catalog',
+    description: 'Latest version of a lens with its pillars, questions, best-practice choices and risk rules',
+    mimeType: 'application/json'
+  }, async (uri, { lens: alias }) => {
+    const lens = await findLens(alias);
+    if (!lens) {
+      throw new Error(`Lens ${alias} not found`);
+    }
+    return jsonResource(uri, { ...lens, definition: await getLensDefinition(lens.id) });
+  });
+
+  server.registerResource('review-report', new ResourceTemplate(REPORT_URI, {
+    list: async () => {
+      const sessions = await db.all(`
+        SELECT id, account_id, updated_at FROM analysis_sessions
+        WHERE tenant_id = ? AND analysis_status = 'completed' AND recommendations IS NOT NULL
+        ORDER BY updated_at DESC, rowid DESC
+        LIMIT 100
+      `, [tenant.tenantId]);
+      return {
+        resources: sessions.map(session => ({
+          uri: REPORT_URI.replace('{sessionId}', session.id),
+          name: `Review ${session.id}${session.account_id ? ` of ${session.account_id}` : ''}`,
+          description: `Completed ${session.updated_at}`,
+          mimeType: 'application/json'
+        }))
+      };
+    }
+  }), {
+    title: 'Review report',
+    description: 'Final report of a completed review',
+    mimeType: 'application/json'
+  }, async (uri, { sessionId }) => jsonResource(uri, await getReport(sessionId)));
+
+  return server;
+};
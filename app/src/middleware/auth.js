@@ -0,0 +1,93 @@
+import { AuthenticationError, AccessDeniedError, hasRole, isPlatformAdmin } from '../services/auth.js';
+import { getTenant, findTenantSession, DEFAULT_TENANT } from '../services/tenants.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const denied = (res, role) => res.status(403).json({
+  success: false,
+  error: `This operation requires the ${role} role`
+});
+
+// Sets req.user to the authenticated caller (null while authentication is disabled) and req.tenant to
+// the tenant it acts in. Platform admins pick the tenant with the X-Tenant-ID header.
+export const authenticate = async (req, res, next) => {
+  try {
+    req.user = await req.app.locals.authService().authenticate({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key'),
+      tenant: req.get('X-Tenant-ID')
+    });
+
+    const tenantId = req.user ? req.user.tenantId : req.get('X-Tenant-ID') || DEFAULT_TENANT;
+    req.tenant = await getTenant(tenantId);
+    if (!req.tenant) {
+      return res.status(403).json({
+        success: false,
+        error: `Tenant ${tenantId} not found`
+      });
+    }
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof AccessDeniedError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.app.locals.logger.error('Authentication failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return denied(res, role);
+  }
+  next();
+};
+
+export const requirePlatformAdmin = (req, res, next) => {
+  if (!isPlatformAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'This operation requires a platform admin (AUTH_ADMIN_API_KEY)'
+    });
+  }
+  next();
+};
+
+// router.param handler: sessions of other tenants are answered like missing ones
+export const sessionInTenant = async (req, res, next, sessionId) => {
+  try {
+    if (!await findTenantSession(sessionId, req.tenant.tenantId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionId} not found`
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Default policy of the API: every role can read, changes need a reviewer.
+// Routes that need more call requireRole themselves.
+export const authorizeByMethod = (req, res, next) => {
+  const role = READ_METHODS.includes(req.method) ? 'read-only' : 'reviewer';
+  if (!hasRole(req.user, role)) {
+    return denied(res, role);
+  }
+  next();
+};
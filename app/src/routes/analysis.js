@@ -5,27 +5,38 @@ import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
 import db from '../database/init.js';
+import { requireRole, sessionInTenant } from '../middleware/auth.js';
+import { principalName } from '../services/auth.js';
+import { getTenantAwsService, TenantTargetError } from '../services/tenants.js';
+import { getQuestionChoices, validateSelectedChoices, saveAnswer, InvalidAnswerError } from '../services/answers.js';
+import { findSessionQuestion } from '../services/lenses.js';
+import { publishProgress, recordProgressStep } from '../services/progress.js';
+import { progressStream } from './progress-stream.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = Router();
 
+router.param('sessionId', sessionInTenant);
+
 // Analyze Infrastructure as Code templates
 router.post('/analyze-iac', async (req, res) => {
   try {
     const { sourcePath } = req.body;
     const sessionId = uuidv4();
     const bedrockService = req.app.locals.bedrockService();
-    const awsService = req.app.locals.awsService();
+    const awsService = await getTenantAwsService(req.app.locals.awsService(), req.tenant, {
+      config: req.app.locals.config
+    });
     const logger = req.app.locals.logger;
 
     logger.info(`Starting IaC analysis for session ${sessionId}`);
 
     // Create analysis session
     await db.run(
-      'INSERT INTO analysis_sessions (id, codebase_path, analysis_status) VALUES (?, ?, ?)',
-      [sessionId, sourcePath || '/var/app/iac_templates', 'processing']
+      'INSERT INTO analysis_sessions (id, tenant_id, codebase_path, analysis_status, created_by) VALUES (?, ?, ?, ?, ?)',
+      [sessionId, req.tenant.tenantId, sourcePath || '/var/app/iac_templates', 'processing', principalName(req.user)]
     );
 
     // Step 1: Initialize IaC analysis
@@ -76,14 +87,15 @@ router.post('/analyze-iac', async (req, res) => {
 
     // Store MCP analysis results
     await Promise.all([
-      db.run('INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)', 
-        [sessionId, 'cost', JSON.stringify(costAnalysis)]),
-      db.run('INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)', 
-        [sessionId, 'iam', JSON.stringify(iamAnalysis)]),
-      db.run('INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)', 
-        [sessionId, 'compute', JSON.stringify(computeAnalysis)])
+      db.run('INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)', 
+        [sessionId, req.tenant.tenantId, 'cost', JSON.stringify(costAnalysis)]),
+      db.run('INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)', 
+        [sessionId, req.tenant.tenantId, 'iam', JSON.stringify(iamAnalysis)]),
+      db.run('INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)', 
+        [sessionId, req.tenant.tenantId, 'compute', JSON.stringify(computeAnalysis)])
     ]);
 
+    publishProgress(sessionId, 'complete', { stage: 'analysis', final: true });
     logger.info(`IaC analysis completed for session ${sessionId}`);
 
     res.json({
@@ -102,6 +114,9 @@ router.post('/analyze-iac', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof TenantTargetError) {
+      return res.status(403).json({ error: error.message });
+    }
     req.app.locals.logger.error('IaC analysis error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -113,15 +128,17 @@ router.post('/analyze', async (req, res) => {
     const { sourcePath } = req.body;
     const sessionId = uuidv4();
     const bedrockService = req.app.locals.bedrockService();
-    const awsService = req.app.locals.awsService();
+    const awsService = await getTenantAwsService(req.app.locals.awsService(), req.tenant, {
+      config: req.app.locals.config
+    });
     const logger = req.app.locals.logger;
 
     logger.info(`Starting analysis for session ${sessionId}`);
 
     // Create analysis session
     await db.run(
-      'INSERT INTO analysis_sessions (id, codebase_path, analysis_status) VALUES (?, ?, ?)',
-      [sessionId, sourcePath || '/var/app/mapped_source', 'processing']
+      'INSERT INTO analysis_sessions (id, tenant_id, codebase_path, analysis_status, created_by) VALUES (?, ?, ?, ?, ?)',
+      [sessionId, req.tenant.tenantId, sourcePath || '/var/app/mapped_source', 'processing', principalName(req.user)]
     );
 
     // Step 1: Initialize
@@ -171,16 +188,17 @@ router.post('/analyze', async (req, res) => {
 
     // Store MCP analysis results
     await Promise.all([
-      db.run('INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)', 
-        [sessionId, 'cost', JSON.stringify(costAnalysis)]),
-      db.run('INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)', 
-        [sessionId, 'iam', JSON.stringify(iamAnalysis)]),
-      db.run('INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)', 
-        [sessionId, 'compute', JSON.stringify(computeAnalysis)])
+      db.run('INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)', 
+        [sessionId, req.tenant.tenantId, 'cost', JSON.stringify(costAnalysis)]),
+      db.run('INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)', 
+        [sessionId, req.tenant.tenantId, 'iam', JSON.stringify(iamAnalysis)]),
+      db.run('INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)', 
+        [sessionId, req.tenant.tenantId, 'compute', JSON.stringify(computeAnalysis)])
     ]);
 
     // Step 6: Complete
     await updateProgress(sessionId, 6, 'Analysis completed successfully!', 100);
+    publishProgress(sessionId, 'complete', { stage: 'analysis', final: true });
 
     logger.info(`Analysis completed for session ${sessionId}`);
 
@@ -194,6 +212,9 @@ router.post('/analyze', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof TenantTargetError) {
+      return res.status(403).json({ error: error.message });
+    }
     req.app.locals.logger.error('Analysis error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -254,36 +275,45 @@ router.get('/:sessionId', async (req, res) => {
 router.post('/:sessionId/answer', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { questionKey, answer, confidence } = req.body;
+    const { questionKey, answer, selectedChoices = [], notes, confidence } = req.body;
 
-    if (!questionKey || !answer) {
-      return res.status(400).json({ error: 'Question key and answer are required' });
+    if (!questionKey || (!answer && !(Array.isArray(selectedChoices) && selectedChoices.length > 0))) {
+      return res.status(400).json({ error: 'Question key and an answer or selected choices are required' });
     }
 
     // Get question ID
-    const question = await db.get(
-      'SELECT id FROM questions WHERE question_key = ?',
-      [questionKey]
-    );
+    const question = await findSessionQuestion(sessionId, questionKey);
 
     if (!question) {
       return res.status(404).json({ error: 'Question not found' });
     }
 
+    let selected;
+    try {
+      selected = validateSelectedChoices(await getQuestionChoices(question.id), selectedChoices);
+    } catch (error) {
+      if (error instanceof InvalidAnswerError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
     // Insert or update answer
-    await db.run(
-      `INSERT INTO answers (question_id, session_id, answer_text, confidence_score, source, updated_at) 
-       VALUES (?, ?, ?, ?, 'user', CURRENT_TIMESTAMP)
-       ON CONFLICT(question_id, session_id) DO UPDATE SET 
-       answer_text = excluded.answer_text,
-       confidence_score = excluded.confidence_score,
-       updated_at = CURRENT_TIMESTAMP`,
-      [question.id, sessionId, answer, confidence || 0.8]
-    );
+    const { risk } = await saveAnswer({
+      questionId: question.id,
+      sessionId,
+      answerText: answer || null,
+      selectedChoices: selected,
+      notes: notes || null,
+      confidence: confidence || 0.8,
+      source: 'user',
+      answeredBy: principalName(req.user)
+    });
 
     res.json({
       success: true,
-      message: 'Answer saved successfully'
+      message: 'Answer saved successfully',
+      risk
     });
 
   } catch (error) {
@@ -332,7 +362,7 @@ router.post('/:sessionId/follow-up', async (req, res) => {
 });
 
 // Clean up temp analysis folders
-router.delete('/:sessionId/cleanup', async (req, res) => {
+router.delete('/:sessionId/cleanup', requireRole('admin'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const tempPath = path.join('/var/app/temp', `analysis_${sessionId}`);
@@ -384,33 +414,21 @@ router.get('/progress/:sessionId', async (req, res) => {
   }
 });
 
+// Stream progress events of an analysis session (Server-Sent Events)
+router.get('/progress/:sessionId/events', progressStream);
+
 // Helper functions
-async function updateProgress(sessionId, step, message, percentage = null) {
-  try {
-    const progressData = {
-      currentStep: step,
-      message: message,
-      percentage: percentage,
-      timestamp: new Date().toISOString(),
-      steps: [
-        { id: 'initializing', name: 'Initializing Analysis', completed: step >= 1 },
-        { id: 'scanning', name: 'Scanning Codebase', completed: step >= 2 },
-        { id: 'aws_analysis', name: 'Analyzing AWS Resources', completed: step >= 3 },
-        { id: 'bedrock_analysis', name: 'AI Analysis with Bedrock', completed: step >= 4 },
-        { id: 'generating_report', name: 'Generating Report', completed: step >= 5 },
-        { id: 'complete', name: 'Analysis Complete', completed: step >= 6 }
-      ]
-    };
+const ANALYSIS_STEPS = [
+  { id: 'initializing', name: 'Initializing Analysis' },
+  { id: 'scanning', name: 'Scanning Codebase' },
+  { id: 'aws_analysis', name: 'Analyzing AWS Resources' },
+  { id: 'bedrock_analysis', name: 'AI Analysis with Bedrock' },
+  { id: 'generating_report', name: 'Generating Report' },
+  { id: 'complete', name: 'Analysis Complete' }
+];
 
-    await db.run(
-      'UPDATE analysis_sessions SET progress_data = ? WHERE id = ?',
-      [JSON.stringify(progressData), sessionId]
-    );
-    
-    console.log(`Progress Update [${sessionId}]: Step ${step} - ${message}`);
-  } catch (error) {
-    console.error('Failed to update progress:', error);
-  }
+async function updateProgress(sessionId, step, message, percentage = null) {
+  await recordProgressStep(sessionId, ANALYSIS_STEPS, step, message, percentage);
 }
 
 async function createTempAnalysisFolder(sessionId, sourcePath) {
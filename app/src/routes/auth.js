@@ -0,0 +1,89 @@
+import { Router } from 'express';
+import { requireRole } from '../middleware/auth.js';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  principalName,
+  InvalidApiKeyRequestError
+} from '../services/auth.js';
+
+const router = Router();
+
+// Maps validation errors to 400 and anything else to 500
+const sendError = (req, res, error, context) => {
+  if (error instanceof InvalidApiKeyRequestError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  req.app.locals.logger.error(`${context} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+// The authenticated caller, its role and its tenant
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    authentication: req.app.locals.authService().enabled ? 'enabled' : 'disabled',
+    user: req.user,
+    tenantId: req.tenant.tenantId
+  });
+});
+
+router.get('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.tenant.tenantId);
+
+    res.json({
+      success: true,
+      count: keys.length,
+      keys
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'List API keys');
+  }
+});
+
+// Create an API key with a role in the caller's tenant; the key is only shown in this response
+router.post('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.body || {}, {
+      tenantId: req.tenant.tenantId,
+      createdBy: principalName(req.user)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store the key now; it cannot be shown again',
+      apiKey,
+      key
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Create API key');
+  }
+});
+
+router.delete('/keys/:keyId', requireRole('admin'), async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.keyId, req.tenant.tenantId);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: `API key ${req.params.keyId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Revoke API key');
+  }
+});
+
+export { router as authRoutes };
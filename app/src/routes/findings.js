@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import { sessionInTenant } from '../middleware/auth.js';
+import { listFindings, SEVERITIES, FINDING_STATUSES } from '../services/findings.js';
+
+const router = Router();
+
+router.param('sessionId', sessionInTenant);
+
+// List normalized findings, filtered by any of: sessionId, accountId, source, pillar, questionKey, severity, region,
+// resource and status (open or suppressed)
+router.get('/', async (req, res) => {
+  try {
+    const { severity, status } = req.query;
+
+    if (severity && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        error: `severity must be one of: ${SEVERITIES.join(', ')}`
+      });
+    }
+
+    if (status && !FINDING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${FINDING_STATUSES.join(', ')}`
+      });
+    }
+
+    const findings = await listFindings({ ...req.query, tenantId: req.tenant.tenantId });
+
+    res.json({
+      success: true,
+      count: findings.length,
+      findings
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('List findings error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Findings of one review session, grouped by pillar
+router.get('/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const findings = await listFindings({ ...req.query, sessionId, tenantId: req.tenant.tenantId });
+
+    const byPillar = findings.reduce((acc, finding) => {
+      acc[finding.pillar] = acc[finding.pillar] || [];
+      acc[finding.pillar].push(finding);
+      return acc;
+    }, {});
+
+    // Severity counts cover open findings only; suppressed ones are counted separately
+    const openFindings = findings.filter(finding => finding.status === 'open');
+    const bySeverity = SEVERITIES.reduce((acc, severity) => {
+      acc[severity] = openFindings.filter(finding => finding.severity === severity).length;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      sessionId,
+      count: findings.length,
+      suppressed: findings.length - openFindings.length,
+      bySeverity,
+      byPillar
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Get session findings error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export { router as findingsRoutes };
@@ -0,0 +1,115 @@
+import { Router } from 'express';
+import {
+  createImprovementItem,
+  listImprovementItems,
+  getImprovementItem,
+  updateImprovementItem,
+  deleteImprovementItem,
+  InvalidImprovementError
+} from '../services/improvements.js';
+
+const router = Router();
+
+// Maps validation errors to 400 and anything else to 500
+const sendError = (req, res, error, context) => {
+  if (error instanceof InvalidImprovementError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  req.app.locals.logger.error(`${context} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+const itemNotFound = (res, itemId) => res.status(404).json({
+  success: false,
+  error: `Improvement item ${itemId} not found`
+});
+
+// List improvement items, unfinished and high priority first
+// (filters: sessionId, workloadId, accountId, status, owner, pillar, priority)
+router.get('/', async (req, res) => {
+  try {
+    const { sessionId, workloadId, accountId, status, owner, pillar, priority } = req.query;
+    const items = await listImprovementItems({
+      tenantId: req.tenant.tenantId, sessionId, workloadId, accountId, status, owner, pillar, priority
+    });
+
+    res.json({
+      success: true,
+      count: items.length,
+      items
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'List improvement items');
+  }
+});
+
+// Add an item by hand; items from final reports are created when the report is generated
+router.post('/', async (req, res) => {
+  try {
+    const item = await createImprovementItem(req.body || {}, req.tenant.tenantId);
+    req.app.locals.logger.info(`🛠️ Created improvement item ${item.itemId}: ${item.title}`);
+
+    res.status(201).json({
+      success: true,
+      item
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Create improvement item');
+  }
+});
+
+router.get('/:itemId', async (req, res) => {
+  try {
+    const item = await getImprovementItem(req.params.itemId, req.tenant.tenantId);
+    if (!item) {
+      return itemNotFound(res, req.params.itemId);
+    }
+
+    res.json({
+      success: true,
+      item
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Get improvement item');
+  }
+});
+
+// Assign an owner, set a due date or move the item through open, in_progress, done and wont_fix
+router.patch('/:itemId', async (req, res) => {
+  try {
+    const item = await updateImprovementItem(req.params.itemId, req.body || {}, req.tenant.tenantId);
+    if (!item) {
+      return itemNotFound(res, req.params.itemId);
+    }
+
+    res.json({
+      success: true,
+      item
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Update improvement item');
+  }
+});
+
+router.delete('/:itemId', async (req, res) => {
+  try {
+    if (!await deleteImprovementItem(req.params.itemId, req.tenant.tenantId)) {
+      return itemNotFound(res, req.params.itemId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Improvement item deleted'
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Delete improvement item');
+  }
+});
+
+export { router as improvementsRoutes };
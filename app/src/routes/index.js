@@ -4,6 +4,15 @@ import { questionsRoutes } from './questions.js';
 import { mcpRoutes } from './mcp.js';
 import { healthRoutes } from './health.js';
 import { wellArchitectedReviewRoutes } from './well-architected-review.js';
+import { findingsRoutes } from './findings.js';
+import { suppressionsRoutes } from './suppressions.js';
+import { lensesRoutes } from './lenses.js';
+import { workloadsRoutes } from './workloads.js';
+import { improvementsRoutes } from './improvements.js';
+import { mcpServerRoutes } from './mcp-server.js';
+import { authRoutes } from './auth.js';
+import { tenantsRoutes } from './tenants.js';
+import { authenticate, authorizeByMethod, requireRole } from '../middleware/auth.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -11,12 +20,27 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export const setupRoutes = (app) => {
+  // Every role can read through the API routes; changes need a reviewer and routes add stricter checks
+  const protectedApi = [authenticate, authorizeByMethod];
+
   // API routes
-  app.use('/api/analysis', analysisRoutes);
-  app.use('/api/questions', questionsRoutes);
-  app.use('/api/mcp', mcpRoutes);
+  app.use('/api/analysis', protectedApi, analysisRoutes);
+  app.use('/api/questions', protectedApi, questionsRoutes);
+  // The MCP data routes call AWS on every request
+  app.use('/api/mcp', authenticate, requireRole('reviewer'), mcpRoutes);
   app.use('/api/health', healthRoutes);
-  app.use('/api/review', wellArchitectedReviewRoutes);
+  app.use('/api/review', protectedApi, wellArchitectedReviewRoutes);
+  app.use('/api/findings', protectedApi, findingsRoutes);
+  app.use('/api/suppressions', protectedApi, suppressionsRoutes);
+  app.use('/api/lenses', protectedApi, lensesRoutes);
+  app.use('/api/workloads', protectedApi, workloadsRoutes);
+  app.use('/api/improvements', protectedApi, improvementsRoutes);
+  app.use('/api/auth', authenticate, authRoutes);
+  app.use('/api/tenants', authenticate, tenantsRoutes);
+
+  // Model Context Protocol server (streamable HTTP); `npm run mcp` serves it over stdio.
+  // Its tools check the caller's role themselves.
+  app.use('/mcp', authenticate, mcpServerRoutes);
 
   // Serve main application
   app.get('/', (req, res) => {
@@ -28,30 +52,95 @@ export const setupRoutes = (app) => {
     res.json({
       name: 'Well-Architected Reviewer API',
       version: '1.0.0',
+      authentication: 'X-API-Key header or Authorization: Bearer <API key or JWT>; roles: read-only (reads), reviewer (reviews, answers, other changes and live AWS data), admin (API keys, IAM data, cleanup); every caller acts in one tenant, which a platform admin (AUTH_ADMIN_API_KEY) picks with the X-Tenant-ID header',
       endpoints: {
+        auth: {
+          'GET /api/auth/me': 'Get the authenticated caller, its role and its tenant',
+          'GET /api/auth/keys': 'List the API keys of the tenant (admin)',
+          'POST /api/auth/keys': 'Create an API key with a role in the tenant; the key is only returned once (admin)',
+          'DELETE /api/auth/keys/:keyId': 'Revoke an API key of the tenant (admin)'
+        },
+        tenants: {
+          'GET /api/tenants/current': 'Get the tenant the caller acts in and its AWS target configuration',
+          'GET /api/tenants': 'List tenants (platform admin)',
+          'POST /api/tenants': 'Create a tenant with its AWS accounts, review role and regions (platform admin)',
+          'GET /api/tenants/:tenantId': 'Get a tenant (platform admin)',
+          'PATCH /api/tenants/:tenantId': 'Update the name or AWS target configuration of a tenant (platform admin)',
+          'DELETE /api/tenants/:tenantId': 'Delete a tenant without reviews or workloads and revoke its API keys (platform admin)'
+        },
         review: {
-          'POST /api/review/start': 'Start a new Well-Architected Review (AWS API-based)',
+          'POST /api/review/start': 'Start a new Well-Architected Review (AWS API-based) against one or more lenses',
           'POST /api/review/:sessionId/answer': 'Submit answer to a Well-Architected question',
           'GET /api/review/:sessionId/status': 'Get review progress and next question',
-          'GET /api/review/:sessionId/report': 'Get final Well-Architected report',
-          'GET /api/review/aws-analysis': 'Get comprehensive AWS analysis data'
+          'GET /api/review/:sessionId/events': 'Stream review progress as Server-Sent Events',
+          'GET /api/review/:sessionId/job': 'Get the background job of a review',
+          'POST /api/review/:sessionId/cancel': 'Cancel a queued or running review',
+          'GET /api/review/jobs': 'List background review jobs (filter: status)',
+          'GET /api/review/:sessionId/report': 'Get final Well-Architected report (?format=markdown, html or pdf for a rendered download)',
+          'GET /api/review/:sessionId/export/wa-tool': 'Download a completed review as an AWS Well-Architected Tool file (workload, milestone name, answers per lens)',
+          'POST /api/review/import/wa-tool': 'Create a review with answers from a Well-Architected Tool file, offline',
+          'GET /api/review/compare?base=&target=': 'Compare two reviews: answer and risk changes, new and resolved findings, pillar score deltas',
+          'GET /api/review/aws-analysis': 'Get comprehensive AWS analysis data (admin)'
+        },
+        findings: {
+          'GET /api/findings': 'List normalized findings (filters: sessionId, accountId, source, pillar, questionKey, severity, region, resource, status)',
+          'GET /api/findings/session/:sessionId': 'Get findings of a review session grouped by pillar'
+        },
+        suppressions: {
+          'GET /api/suppressions': 'List suppressions (filters: accountId, findingId, active)',
+          'POST /api/suppressions': 'Accept the risk of a finding or mark it as a false positive until an expiry date',
+          'DELETE /api/suppressions/:suppressionId': 'Revoke a suppression'
+        },
+        workloads: {
+          'GET /api/workloads': 'List workloads (filters: owner, environment)',
+          'POST /api/workloads': 'Create a workload with its accounts, regions, tags and lenses',
+          'GET /api/workloads/:workloadId': 'Get a workload',
+          'PATCH /api/workloads/:workloadId': 'Update a workload',
+          'DELETE /api/workloads/:workloadId': 'Delete a workload without reviews or milestones',
+          'GET /api/workloads/:workloadId/reviews': 'List the reviews of a workload',
+          'POST /api/workloads/:workloadId/milestones': 'Save completed reviews of a workload as a named milestone',
+          'GET /api/workloads/:workloadId/milestones': 'List the milestones of a workload',
+          'GET /api/workloads/:workloadId/milestones/:milestoneNumber': 'Get a milestone with its question risks',
+          'GET /api/workloads/:workloadId/trend': 'Get pillar scores and risk counts over the milestones of a workload'
+        },
+        improvements: {
+          'GET /api/improvements': 'List improvement items (filters: sessionId, workloadId, accountId, status, owner, pillar, priority)',
+          'POST /api/improvements': 'Add an improvement item by hand',
+          'GET /api/improvements/:itemId': 'Get an improvement item',
+          'PATCH /api/improvements/:itemId': 'Update the owner, due date, status or links of an improvement item',
+          'DELETE /api/improvements/:itemId': 'Delete an improvement item'
+        },
+        lenses: {
+          'GET /api/lenses': 'List lens versions',
+          'GET /api/lenses/:alias': 'Get a lens definition (latest version unless ?version= is given)',
+          'POST /api/lenses/import': 'Import a custom lens in the Well-Architected Tool format as a new version (platform admin)'
         },
         analysis: {
           'POST /api/analysis/analyze-iac': 'Analyze Infrastructure as Code templates (deprecated)',
           'POST /api/analysis/analyze': 'Analyze general codebase (deprecated)',
           'POST /api/analysis/upload': 'Upload codebase for analysis (deprecated)',
           'GET /api/analysis/:sessionId': 'Get analysis results',
-          'POST /api/analysis/:sessionId/answer': 'Submit answer to question'
+          'POST /api/analysis/:sessionId/answer': 'Submit answer to question',
+          'GET /api/analysis/progress/:sessionId': 'Get analysis progress',
+          'GET /api/analysis/progress/:sessionId/events': 'Stream analysis progress as Server-Sent Events'
         },
         questions: {
-          'GET /api/questions': 'Get all Well-Architected questions',
-          'GET /api/questions/pillars': 'Get all pillars',
+          'GET /api/questions': 'Get the questions of a lens (?lens=, defaults to the Well-Architected Framework)',
+          'GET /api/questions/pillars': 'Get the pillars of a lens (?lens=)',
           'POST /api/questions/answer': 'Submit answer to question'
         },
         mcp: {
           'GET /api/mcp/cost': 'Get cost analysis',
-          'GET /api/mcp/iam': 'Get IAM analysis',
-          'GET /api/mcp/compute': 'Get compute analysis'
+          'GET /api/mcp/iam': 'Get IAM analysis (admin)',
+          'GET /api/mcp/compute': 'Get compute analysis',
+          'GET /api/mcp/rds': 'Get RDS and Aurora database analysis (?region=)',
+          'GET /api/mcp/serverless': 'Get Lambda, API Gateway and SQS analysis (?region=)',
+          'GET /api/mcp/network': 'Get VPC topology and security group exposure analysis (?region=)',
+          'GET /api/mcp/cloudtrail': 'Get CloudTrail coverage and recent management event analysis (?region=)',
+          'GET /api/mcp/s3': 'Get S3 bucket posture analysis'
+        },
+        mcpServer: {
+          'POST /mcp': 'Model Context Protocol endpoint (streamable HTTP): review tools, question catalogs and reports'
         },
         health: {
           'GET /api/health': 'Check service health',
@@ -0,0 +1,103 @@
+import { Router } from 'express';
+import { requirePlatformAdmin } from '../middleware/auth.js';
+import {
+  listLenses,
+  findLens,
+  getLensDefinition,
+  importLens,
+  InvalidLensError,
+  LensConflictError
+} from '../services/lenses.js';
+
+const router = Router();
+
+// List all lens versions, built-in lens first
+router.get('/', async (req, res) => {
+  try {
+    const lenses = await listLenses();
+
+    res.json({
+      success: true,
+      count: lenses.length,
+      lenses
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('List lenses error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Import a lens in the Well-Architected Tool custom lens format.
+// alias and version come from the query string or from top-level fields of the body.
+// Lenses are shared by every tenant, so only a platform admin can import them.
+router.post('/import', requirePlatformAdmin, async (req, res) => {
+  try {
+    const { alias: bodyAlias, ...definition } = req.body || {};
+    const alias = req.query.alias || bodyAlias;
+    const version = req.query.version || definition.version;
+
+    const lens = await importLens(definition, { alias, version });
+    req.app.locals.logger.info(`📚 Imported lens ${lens.alias} version ${lens.version}`);
+
+    res.status(201).json({
+      success: true,
+      lens
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidLensError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof LensConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.app.locals.logger.error('Import lens error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a lens with its definition; the latest version unless ?version= is given
+router.get('/:alias', async (req, res) => {
+  try {
+    const { alias } = req.params;
+    const lens = await findLens(alias, req.query.version || null);
+
+    if (!lens) {
+      return res.status(404).json({
+        success: false,
+        error: `Lens ${alias}${req.query.version ? ` version ${req.query.version}` : ''} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      lens: {
+        ...lens,
+        definition: await getLensDefinition(lens.id)
+      }
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Get lens error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export { router as lensesRoutes };
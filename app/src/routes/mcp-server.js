@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { createMcpServer } from '../mcp/server.js';
+
+const router = Router();
+
+// Streamable HTTP transport of the MCP server in stateless mode: every request gets its own
+// server and transport, so no MCP session has to survive between requests
+router.post('/', async (req, res) => {
+  try {
+    const server = createMcpServer({
+      awsService: req.app.locals.awsService(),
+      bedrockService: req.app.locals.bedrockService(),
+      config: req.app.locals.config,
+      logger: req.app.locals.logger,
+      user: req.user,
+      tenant: req.tenant
+    });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      enableJsonResponse: true
+    });
+
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+
+  } catch (error) {
+    req.app.locals.logger.error('MCP request error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: error.message },
+        id: null
+      });
+    }
+  }
+});
+
+// Stateless mode has no server-initiated stream and no session to end
+router.all('/', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed' },
+    id: null
+  });
+});
+
+export { router as mcpServerRoutes };
@@ -1,11 +1,34 @@
 import { Router } from 'express';
+import { requireRole, sessionInTenant } from '../middleware/auth.js';
+import { getTenantAwsService, TenantTargetError } from '../services/tenants.js';
 
 const router = Router();
 
+router.param('sessionId', sessionInTenant);
+
+// Live queries run against the caller's tenant: req.awsService is the AWS service of its account
+const tenantAwsService = async (req, res, next) => {
+  try {
+    req.awsService = await getTenantAwsService(req.app.locals.awsService(), req.tenant, {
+      accountId: req.query.accountId,
+      config: req.app.locals.config
+    });
+    next();
+  } catch (error) {
+    if (error instanceof TenantTargetError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next(error);
+  }
+};
+
 // Get Cost Explorer analysis
-router.get('/cost', async (req, res) => {
+router.get('/cost', tenantAwsService, async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const logger = req.app.locals.logger;
     
     const { startDate, endDate, granularity } = req.query;
@@ -34,9 +57,9 @@ router.get('/cost', async (req, res) => {
 });
 
 // Get IAM security analysis
-router.get('/iam', async (req, res) => {
+router.get('/iam', requireRole('admin'), tenantAwsService, async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const logger = req.app.locals.logger;
     
     logger.info('Starting IAM security analysis');
@@ -59,14 +82,16 @@ router.get('/iam', async (req, res) => {
 });
 
 // Get Compute resources analysis
-router.get('/compute', async (req, res) => {
+router.get('/compute', tenantAwsService, async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const logger = req.app.locals.logger;
     
+    const { region } = req.query;
+
     logger.info('Starting compute resources analysis');
     
-    const computeAnalysis = await awsService.analyzeCompute();
+    const computeAnalysis = await awsService.analyzeCompute(region);
 
     res.json({
       success: true,
@@ -83,10 +108,143 @@ router.get('/compute', async (req, res) => {
   }
 });
 
+// Get RDS instances and Aurora clusters: Multi-AZ, backups, snapshots, encryption, public access and engine support
+router.get('/rds', tenantAwsService, async (req, res) => {
+  try {
+    const awsService = req.awsService;
+    const logger = req.app.locals.logger;
+
+    const { region } = req.query;
+
+    logger.info('Starting RDS analysis');
+
+    const rdsAnalysis = await awsService.analyzeRDS(region);
+
+    res.json({
+      success: true,
+      data: rdsAnalysis.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('RDS analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get Lambda functions, API Gateway stages and SQS queues
+router.get('/serverless', tenantAwsService, async (req, res) => {
+  try {
+    const awsService = req.awsService;
+    const logger = req.app.locals.logger;
+
+    const { region } = req.query;
+
+    logger.info('Starting serverless analysis');
+
+    const serverlessAnalysis = await awsService.analyzeServerless(region);
+
+    res.json({
+      success: true,
+      data: serverlessAnalysis.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Serverless analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get VPC topology, security group exposure and instances reachable from the internet
+router.get('/network', tenantAwsService, async (req, res) => {
+  try {
+    const awsService = req.awsService;
+    const logger = req.app.locals.logger;
+
+    const { region } = req.query;
+
+    logger.info('Starting network analysis');
+
+    const networkAnalysis = await awsService.analyzeNetwork(region);
+
+    res.json({
+      success: true,
+      data: networkAnalysis.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Network analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get CloudTrail trail coverage and suspicious management events of the lookback window
+router.get('/cloudtrail', tenantAwsService, async (req, res) => {
+  try {
+    const awsService = req.awsService;
+    const logger = req.app.locals.logger;
+
+    const { region } = req.query;
+
+    logger.info('Starting CloudTrail analysis');
+
+    const cloudTrailAnalysis = await awsService.analyzeCloudTrail(region);
+
+    res.json({
+      success: true,
+      data: cloudTrailAnalysis.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('CloudTrail analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get S3 bucket posture: public access, bucket policies, encryption, versioning, lifecycle, logging and Object Lock
+router.get('/s3', tenantAwsService, async (req, res) => {
+  try {
+    const awsService = req.awsService;
+    const logger = req.app.locals.logger;
+
+    logger.info('Starting S3 bucket analysis');
+
+    const s3Analysis = await awsService.analyzeS3();
+
+    res.json({
+      success: true,
+      data: s3Analysis.data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('S3 analysis error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get comprehensive AWS analysis
-router.get('/comprehensive', async (req, res) => {
+router.get('/comprehensive', tenantAwsService, async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const logger = req.app.locals.logger;
     
     logger.info('Starting comprehensive AWS analysis');
@@ -112,22 +270,22 @@ router.get('/comprehensive', async (req, res) => {
     };
 
     // Calculate summary metrics
-    if (costAnalysis.data?.recommendations) {
-      comprehensiveAnalysis.summary.costSavingsOpportunities = costAnalysis.data.recommendations.length;
-      comprehensiveAnalysis.summary.totalRecommendations += costAnalysis.data.recommendations.length;
+    if (costAnalysis.data?.findings) {
+      comprehensiveAnalysis.summary.costSavingsOpportunities = costAnalysis.data.findings.length;
+      comprehensiveAnalysis.summary.totalRecommendations += costAnalysis.data.findings.length;
     }
 
-    if (iamAnalysis.data?.analysis?.findings) {
-      const criticalFindings = iamAnalysis.data.analysis.findings.filter(f => 
-        f.type === 'OVERPRIVILEGED_ROLE' || f.type === 'UNUSED_USER'
+    if (iamAnalysis.data?.findings) {
+      const criticalFindings = iamAnalysis.data.findings.filter(f => 
+        f.severity === 'critical' || f.severity === 'high'
       );
       comprehensiveAnalysis.summary.securityRisks = criticalFindings.length;
       comprehensiveAnalysis.summary.totalRecommendations += criticalFindings.length;
     }
 
-    if (computeAnalysis.data?.analysis?.findings) {
-      comprehensiveAnalysis.summary.performanceIssues = computeAnalysis.data.analysis.findings.length;
-      comprehensiveAnalysis.summary.totalRecommendations += computeAnalysis.data.analysis.findings.length;
+    if (computeAnalysis.data?.findings) {
+      comprehensiveAnalysis.summary.performanceIssues = computeAnalysis.data.findings.length;
+      comprehensiveAnalysis.summary.totalRecommendations += computeAnalysis.data.findings.length;
     }
 
     res.json({
@@ -180,12 +338,12 @@ router.get('/session/:sessionId', async (req, res) => {
 });
 
 // Refresh MCP analysis for session
-router.post('/session/:sessionId/refresh', async (req, res) => {
+router.post('/session/:sessionId/refresh', tenantAwsService, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { analysisTypes } = req.body; // ['cost', 'iam', 'compute'] or leave empty for all
     
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const db = req.app.locals.db;
     const logger = req.app.locals.logger;
     
@@ -217,8 +375,8 @@ router.post('/session/:sessionId/refresh', async (req, res) => {
     // Update database with new results
     for (const { type, result } of results) {
       await db.run(
-        'INSERT INTO mcp_analysis (session_id, analysis_type, results) VALUES (?, ?, ?)',
-        [sessionId, type, JSON.stringify(result)]
+        'INSERT INTO mcp_analysis (session_id, tenant_id, analysis_type, results) VALUES (?, ?, ?, ?)',
+        [sessionId, req.tenant.tenantId, type, JSON.stringify(result)]
       );
     }
     
@@ -239,9 +397,9 @@ router.post('/session/:sessionId/refresh', async (req, res) => {
 });
 
 // Get cost trends
-router.get('/cost/trends', async (req, res) => {
+router.get('/cost/trends', tenantAwsService, async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const { days = 30 } = req.query;
     
     const trends = await awsService.analyzeCosts({
@@ -267,48 +425,24 @@ router.get('/cost/trends', async (req, res) => {
 });
 
 // Get security recommendations
-router.get('/iam/recommendations', async (req, res) => {
+router.get('/iam/recommendations', requireRole('admin'), tenantAwsService, async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const awsService = req.awsService;
     const iamAnalysis = await awsService.analyzeIAM();
     
     const recommendations = [];
     
-    if (iamAnalysis.data?.analysis?.findings) {
-      iamAnalysis.data.analysis.findings.forEach(finding => {
-        switch (finding.type) {
-          case 'UNUSED_USER':
-            recommendations.push({
-              priority: 'Medium',
-              title: 'Remove Unused User',
-              description: finding.description,
-              resource: finding.resource,
-              action: 'Consider removing or disabling this user account',
-              pillar: 'Security'
-            });
-            break;
-          case 'OVERPRIVILEGED_ROLE':
-            recommendations.push({
-              priority: 'High',
-              title: 'Restrict Role Permissions',
-              description: finding.description,
-              resource: finding.resource,
-              action: 'Review and restrict the assume role policy',
-              pillar: 'Security'
-            });
-            break;
-          default:
-            recommendations.push({
-              priority: 'Low',
-              title: 'Review Security Finding',
-              description: finding.description,
-              resource: finding.resource,
-              action: 'Manual review required',
-              pillar: 'Security'
-            });
-        }
+    iamAnalysis.data?.findings?.forEach(finding => {
+      recommendations.push({
+        priority: finding.severity === 'critical' || finding.severity === 'high' ? 'High' : (finding.severity === 'medium' ? 'Medium' : 'Low'),
+        title: finding.title,
+        description: finding.description,
+        resource: finding.resource,
+        action: finding.remediation || 'Manual review required',
+        pillar: 'Security',
+        findingId: finding.id
       });
-    }
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,102 @@
+import db from '../database/init.js';
+import { getProgressHistory, subscribeProgress } from '../services/progress.js';
+import { getReviewJob, FINISHED_STATUSES } from '../services/review-jobs.js';
+
+const HEARTBEAT_MS = 15000;
+const JOB_CHECK_MS = 5000;
+
+// Codebase analyses are finished once they complete, fail or are cancelled. Reviews are finished once their job
+// is: the questions are ready, or the review failed or was cancelled. Imported reviews have no job to follow.
+const isFinished = (session, job) => session.codebase_path ?
+  FINISHED_STATUSES.includes(session.analysis_status) :
+  ['failed', 'cancelled'].includes(session.analysis_status) || !job || FINISHED_STATUSES.includes(job.status);
+
+const writeEvent = (res, event) => {
+  res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  // compression buffers the response unless it is flushed
+  res.flush?.();
+};
+
+// Server-Sent Events stream of a session's progress. It opens with a snapshot of the stored progress,
+// replays the buffered events after Last-Event-ID (or ?lastEventId=) and then pushes new ones until
+// the session's final event. The job is checked as well, because a job run, cancelled or recovered by
+// another process publishes its events there.
+export const progressStream = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await db.get(
+      'SELECT analysis_status, progress_data, codebase_path FROM analysis_sessions WHERE id = ?',
+      [sessionId]
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionId} not found`
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const job = session.codebase_path ? null : await getReviewJob(sessionId);
+    const finished = isFinished(session, job);
+    writeEvent(res, {
+      type: 'snapshot',
+      sessionId,
+      status: session.analysis_status,
+      progress: session.progress_data ? JSON.parse(session.progress_data) : null,
+      final: finished
+    });
+
+    const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+    const missed = getProgressHistory(sessionId, lastEventId);
+    missed.forEach(event => writeEvent(res, event));
+
+    if (finished || missed.some(event => event.final)) {
+      return res.end();
+    }
+
+    const unsubscribe = subscribeProgress(sessionId, event => {
+      writeEvent(res, event);
+      if (event.final) {
+        res.end();
+      }
+    });
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      res.flush?.();
+    }, HEARTBEAT_MS);
+    const jobCheck = session.codebase_path ? null : setInterval(async () => {
+      try {
+        const current = await getReviewJob(sessionId);
+        if (!current || FINISHED_STATUSES.includes(current.status)) {
+          res.end();
+        }
+      } catch (error) {
+        req.app.locals.logger.error('Progress stream job check error:', error);
+      }
+    }, JOB_CHECK_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearInterval(jobCheck);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Progress stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+};
@@ -1,12 +1,39 @@
 import { Router } from 'express';
 import db from '../database/init.js';
+import {
+  getQuestionChoices,
+  validateSelectedChoices,
+  describeSelectedChoices,
+  saveAnswer,
+  listSessionAnswers,
+  InvalidAnswerError
+} from '../services/answers.js';
+import { findLens, findSessionQuestion, getSessionLensIds, lensCondition } from '../services/lenses.js';
+import { DEFAULT_LENS_ALIAS } from '../catalog/index.js';
+import { principalName } from '../services/auth.js';
+import { sessionInTenant } from '../middleware/auth.js';
+import { findTenantSession } from '../services/tenants.js';
 
 const router = Router();
 
-// Get all pillars
+router.param('sessionId', sessionInTenant);
+
+// Catalog routes read one lens: ?lens=<alias> at its latest version (or ?version=), by default the framework
+const findRequestedLens = (req) => findLens(req.query.lens || DEFAULT_LENS_ALIAS, req.query.version || null);
+
+const lensNotFound = (req, res) => res.status(404).json({
+  error: `Lens ${req.query.lens || DEFAULT_LENS_ALIAS}${req.query.version ? ` version ${req.query.version}` : ''} not found`
+});
+
+// Get all pillars of a lens
 router.get('/pillars', async (req, res) => {
   try {
-    const pillars = await db.all('SELECT * FROM pillars ORDER BY name');
+    const lens = await findRequestedLens(req);
+    if (!lens) {
+      return lensNotFound(req, res);
+    }
+
+    const pillars = await db.all('SELECT * FROM pillars WHERE lens_id = ? ORDER BY name', [lens.id]);
     
     res.json({
       success: true,
@@ -18,28 +45,34 @@ router.get('/pillars', async (req, res) => {
   }
 });
 
-// Get all questions
+// Get all questions of a lens
 router.get('/', async (req, res) => {
   try {
     const { pillar, category } = req.query;
+    const lens = await findRequestedLens(req);
+    if (!lens) {
+      return lensNotFound(req, res);
+    }
+
     let query = `
       SELECT q.*, p.name as pillar_name, p.description as pillar_description
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
+      WHERE q.lens_id = ?
     `;
-    const params = [];
+    const params = [lens.id];
 
     if (pillar) {
-      query += ' WHERE p.name = ?';
+      query += ' AND p.name = ?';
       params.push(pillar);
     }
 
     if (category) {
-      query += pillar ? ' AND q.category = ?' : ' WHERE q.category = ?';
+      query += ' AND q.category = ?';
       params.push(category);
     }
 
-    query += ' ORDER BY p.name, q.category, q.priority';
+    query += ' ORDER BY p.name, q.position, q.priority';
 
     const questions = await db.all(query, params);
     
@@ -57,14 +90,18 @@ router.get('/', async (req, res) => {
 router.get('/pillar/:pillarName', async (req, res) => {
   try {
     const { pillarName } = req.params;
+    const lens = await findRequestedLens(req);
+    if (!lens) {
+      return lensNotFound(req, res);
+    }
     
     const questions = await db.all(`
       SELECT q.*, p.name as pillar_name, p.description as pillar_description
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
-      WHERE p.name = ?
-      ORDER BY q.category, q.priority
-    `, [pillarName]);
+      WHERE p.name = ? AND q.lens_id = ?
+      ORDER BY q.position, q.priority
+    `, [pillarName, lens.id]);
     
     res.json({
       success: true,
@@ -76,17 +113,21 @@ router.get('/pillar/:pillarName', async (req, res) => {
   }
 });
 
-// Get question by key
+// Get question by key, with its best-practice choices and risk rules
 router.get('/:questionKey', async (req, res) => {
   try {
     const { questionKey } = req.params;
+    const lens = await findRequestedLens(req);
+    if (!lens) {
+      return lensNotFound(req, res);
+    }
     
     const question = await db.get(`
       SELECT q.*, p.name as pillar_name, p.description as pillar_description
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
-      WHERE q.question_key = ?
-    `, [questionKey]);
+      WHERE q.question_key = ? AND q.lens_id = ?
+    `, [questionKey, lens.id]);
     
     if (!question) {
       return res.status(404).json({ error: 'Question not found' });
@@ -94,7 +135,11 @@ router.get('/:questionKey', async (req, res) => {
     
     res.json({
       success: true,
-      question
+      question: {
+        ...question,
+        risk_rules: JSON.parse(question.risk_rules || '[]'),
+        choices: await getQuestionChoices(question.id)
+      }
     });
   } catch (error) {
     req.app.locals.logger.error('Get question error:', error);
@@ -105,37 +150,53 @@ router.get('/:questionKey', async (req, res) => {
 // Submit answer to question with agent analysis
 router.post('/answer', async (req, res) => {
   try {
-    const { questionKey, sessionId, answer, confidence, source = 'user' } = req.body;
+    const { questionKey, sessionId, answer, selectedChoices = [], notes, confidence, source = 'user' } = req.body;
 
-    if (!questionKey || !sessionId || !answer) {
+    if (!questionKey || !sessionId || (!answer && !(Array.isArray(selectedChoices) && selectedChoices.length > 0))) {
       return res.status(400).json({ 
-        error: 'Question key, session ID, and answer are required' 
+        error: 'Question key, session ID, and an answer or selected choices are required' 
       });
     }
 
-    // Get question details
+    if (!await findTenantSession(sessionId, req.tenant.tenantId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Get question details from the lenses of the session
+    const sessionQuestion = await findSessionQuestion(sessionId, questionKey);
+    if (!sessionQuestion) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
     const question = await db.get(`
       SELECT q.*, p.name as pillar_name
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
-      WHERE q.question_key = ?
-    `, [questionKey]);
+      WHERE q.id = ?
+    `, [sessionQuestion.id]);
 
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+    const choices = await getQuestionChoices(question.id);
+    let selected;
+    try {
+      selected = validateSelectedChoices(choices, selectedChoices);
+    } catch (error) {
+      if (error instanceof InvalidAnswerError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
     }
 
     // Save the answer first
-    await db.run(
-      `INSERT INTO answers (question_id, session_id, answer_text, confidence_score, source, updated_at) 
-       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-       ON CONFLICT(question_id, session_id) DO UPDATE SET 
-       answer_text = excluded.answer_text,
-       confidence_score = excluded.confidence_score,
-       source = excluded.source,
-       updated_at = CURRENT_TIMESTAMP`,
-      [question.id, sessionId, answer, confidence || 0.8, source]
-    );
+    const { risk } = await saveAnswer({
+      questionId: question.id,
+      sessionId,
+      answerText: answer || null,
+      selectedChoices: selected,
+      notes: notes || null,
+      confidence: confidence || 0.8,
+      source,
+      answeredBy: principalName(req.user)
+    });
 
     // Ask agent to analyze this specific answer
     let agentAnalysis = null;
@@ -148,7 +209,9 @@ Analyze this Well-Architected Framework answer:
 Pillar: ${question.pillar_name}
 Question: ${question.question_text}
 Category: ${question.category}
-User Answer: ${answer}
+Selected Best Practices: ${describeSelectedChoices(choices, selected) || 'none'}
+User Answer: ${answer || '(no free-text answer)'}
+Notes: ${notes || '(none)'}
 
 Please provide:
 1. Assessment of the answer quality
@@ -179,7 +242,9 @@ Keep response concise but actionable.
         text: question.question_text,
         pillar: question.pillar_name,
         category: question.category
-      }
+      },
+      selectedChoices: selected,
+      risk
     });
 
   } catch (error) {
@@ -193,23 +258,7 @@ router.get('/session/:sessionId/answers', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const answers = await db.all(`
-      SELECT 
-        q.question_key,
-        q.question_text,
-        q.category,
-        p.name as pillar_name,
-        a.answer_text,
-        a.confidence_score,
-        a.source,
-        a.created_at,
-        a.updated_at
-      FROM answers a
-      JOIN questions q ON a.question_id = q.id
-      JOIN pillars p ON q.pillar_id = p.id
-      WHERE a.session_id = ?
-      ORDER BY p.name, q.category, q.priority
-    `, [sessionId]);
+    const answers = await listSessionAnswers(sessionId);
     
     res.json({
       success: true,
@@ -225,6 +274,7 @@ router.get('/session/:sessionId/answers', async (req, res) => {
 router.get('/session/:sessionId/next', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const condition = lensCondition(await getSessionLensIds(sessionId));
     
     // Get the next unanswered question with highest priority
     const nextQuestion = await db.get(`
@@ -232,17 +282,19 @@ router.get('/session/:sessionId/next', async (req, res) => {
         q.id,
         q.question_key,
         q.question_text,
+        q.description,
         q.category,
+        q.helpful_resource_url,
         p.name as pillar_name,
         p.description as pillar_description,
         q.priority
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
       LEFT JOIN answers a ON q.id = a.question_id AND a.session_id = ?
-      WHERE a.id IS NULL
-      ORDER BY q.priority DESC, p.name, q.category
+      WHERE a.id IS NULL AND ${condition.sql}
+      ORDER BY q.priority DESC, q.lens_id, q.position, q.id
       LIMIT 1
-    `, [sessionId]);
+    `, [sessionId, ...condition.params]);
     
     if (!nextQuestion) {
       // Get completion stats
@@ -252,7 +304,8 @@ router.get('/session/:sessionId/next', async (req, res) => {
           COUNT(DISTINCT a.question_id) as answered_questions
         FROM questions q
         LEFT JOIN answers a ON q.id = a.question_id AND a.session_id = ?
-      `, [sessionId]);
+        WHERE ${condition.sql}
+      `, [sessionId, ...condition.params]);
       
       return res.json({
         success: true,
@@ -269,11 +322,15 @@ router.get('/session/:sessionId/next', async (req, res) => {
         COUNT(DISTINCT a.question_id) as answered_questions
       FROM questions q
       LEFT JOIN answers a ON q.id = a.question_id AND a.session_id = ?
-    `, [sessionId]);
+      WHERE ${condition.sql}
+    `, [sessionId, ...condition.params]);
     
     res.json({
       success: true,
-      question: nextQuestion,
+      question: {
+        ...nextQuestion,
+        choices: await getQuestionChoices(nextQuestion.id)
+      },
       progress: {
         current: progress.answered_questions + 1,
         total: progress.total_questions,
@@ -291,6 +348,7 @@ router.get('/session/:sessionId/next', async (req, res) => {
 router.get('/session/:sessionId/unanswered', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const condition = lensCondition(await getSessionLensIds(sessionId));
     
     const unansweredQuestions = await db.all(`
       SELECT 
@@ -303,9 +361,9 @@ router.get('/session/:sessionId/unanswered', async (req, res) => {
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
       LEFT JOIN answers a ON q.id = a.question_id AND a.session_id = ?
-      WHERE a.id IS NULL
-      ORDER BY q.priority DESC, p.name, q.category
-    `, [sessionId]);
+      WHERE a.id IS NULL AND ${condition.sql}
+      ORDER BY q.priority DESC, q.lens_id, q.position, q.id
+    `, [sessionId, ...condition.params]);
     
     res.json({
       success: true,
@@ -321,19 +379,23 @@ router.get('/session/:sessionId/unanswered', async (req, res) => {
 router.get('/session/:sessionId/progress', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const condition = lensCondition(await getSessionLensIds(sessionId));
     
     const progress = await db.all(`
       SELECT 
+        l.alias as lens_alias,
         p.name as pillar_name,
         COUNT(q.id) as total_questions,
         COUNT(a.id) as answered_questions,
         ROUND(COUNT(a.id) * 100.0 / COUNT(q.id), 2) as completion_percentage
       FROM pillars p
+      JOIN lenses l ON p.lens_id = l.id
       JOIN questions q ON p.id = q.pillar_id
       LEFT JOIN answers a ON q.id = a.question_id AND a.session_id = ?
-      GROUP BY p.id, p.name
-      ORDER BY p.name
-    `, [sessionId]);
+      WHERE ${condition.sql}
+      GROUP BY p.id, l.alias, p.name
+      ORDER BY p.lens_id, p.name
+    `, [sessionId, ...condition.params]);
     
     const totalQuestions = progress.reduce((sum, pillar) => sum + pillar.total_questions, 0);
     const totalAnswered = progress.reduce((sum, pillar) => sum + pillar.answered_questions, 0);
@@ -365,22 +427,23 @@ router.post('/bulk-answer', async (req, res) => {
       });
     }
 
+    if (!await findTenantSession(sessionId, req.tenant.tenantId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
     const results = [];
     
     for (const answerData of answers) {
-      const { questionKey, answer, confidence, source = 'user' } = answerData;
+      const { questionKey, answer, selectedChoices = [], notes, confidence, source = 'user' } = answerData;
       
-      if (!questionKey || !answer) {
+      if (!questionKey || (!answer && !(Array.isArray(selectedChoices) && selectedChoices.length > 0))) {
         results.push({ questionKey, success: false, error: 'Missing question key or answer' });
         continue;
       }
 
       try {
         // Get question ID
-        const question = await db.get(
-          'SELECT id FROM questions WHERE question_key = ?',
-          [questionKey]
-        );
+        const question = await findSessionQuestion(sessionId, questionKey);
 
         if (!question) {
           results.push({ questionKey, success: false, error: 'Question not found' });
@@ -388,18 +451,18 @@ router.post('/bulk-answer', async (req, res) => {
         }
 
         // Insert or update answer
-        await db.run(
-          `INSERT INTO answers (question_id, session_id, answer_text, confidence_score, source, updated_at) 
-           VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-           ON CONFLICT(question_id, session_id) DO UPDATE SET 
-           answer_text = excluded.answer_text,
-           confidence_score = excluded.confidence_score,
-           source = excluded.source,
-           updated_at = CURRENT_TIMESTAMP`,
-          [question.id, sessionId, answer, confidence || 0.8, source]
-        );
-
-        results.push({ questionKey, success: true });
+        const { risk } = await saveAnswer({
+          questionId: question.id,
+          sessionId,
+          answerText: answer || null,
+          selectedChoices: validateSelectedChoices(await getQuestionChoices(question.id), selectedChoices),
+          notes: notes || null,
+          confidence: confidence || 0.8,
+          source,
+          answeredBy: principalName(req.user)
+        });
+
+        results.push({ questionKey, success: true, risk });
       } catch (error) {
         results.push({ questionKey, success: false, error: error.message });
       }
@@ -0,0 +1,126 @@
+import { Router } from 'express';
+import {
+  createSuppression,
+  listSuppressions,
+  revokeSuppression,
+  SUPPRESSION_REASONS,
+  FindingNotFoundError
+} from '../services/suppressions.js';
+
+const router = Router();
+
+// List suppressions (filters: accountId, findingId, active=true|false)
+router.get('/', async (req, res) => {
+  try {
+    const { accountId, findingId, active } = req.query;
+
+    const suppressions = await listSuppressions({
+      tenantId: req.tenant.tenantId,
+      accountId,
+      findingId,
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: suppressions.length,
+      suppressions
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('List suppressions error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Accept the risk of a finding or mark it as a false positive until expiresAt
+router.post('/', async (req, res) => {
+  try {
+    const { findingId, reason, justification, owner, expiresAt } = req.body;
+    const logger = req.app.locals.logger;
+
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+    if (![findingId, justification, owner, expiresAt].every(isText)) {
+      return res.status(400).json({
+        success: false,
+        error: 'findingId, justification, owner and expiresAt are required strings'
+      });
+    }
+
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be one of: ${SUPPRESSION_REASONS.join(', ')}`
+      });
+    }
+
+    const expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a date in the future'
+      });
+    }
+
+    const suppression = await createSuppression({
+      tenantId: req.tenant.tenantId,
+      findingId,
+      reason,
+      justification: justification.trim(),
+      owner: owner.trim(),
+      expiresAt: expiry
+    });
+
+    logger.info(`🔕 Finding ${findingId} suppressed as ${reason} by ${suppression.owner} until ${suppression.expiresAt}`);
+
+    res.status(201).json({
+      success: true,
+      suppression
+    });
+
+  } catch (error) {
+    if (error instanceof FindingNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.app.locals.logger.error('Create suppression error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke a suppression; the finding counts again from the next evaluation
+router.delete('/:suppressionId', async (req, res) => {
+  try {
+    const suppression = await revokeSuppression(req.params.suppressionId, req.tenant.tenantId);
+
+    if (!suppression) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active suppression not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      suppression
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Revoke suppression error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export { router as suppressionsRoutes };
@@ -0,0 +1,122 @@
+import { Router } from 'express';
+import { requirePlatformAdmin } from '../middleware/auth.js';
+import {
+  createTenant,
+  listTenants,
+  getTenant,
+  updateTenant,
+  deleteTenant,
+  InvalidTenantError,
+  TenantConflictError
+} from '../services/tenants.js';
+
+const router = Router();
+
+// Maps validation errors to 400, conflicts to 409 and anything else to 500
+const sendError = (req, res, error, context) => {
+  if (error instanceof InvalidTenantError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof TenantConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  req.app.locals.logger.error(`${context} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+const tenantNotFound = (res, tenantId) => res.status(404).json({
+  success: false,
+  error: `Tenant ${tenantId} not found`
+});
+
+// The tenant the caller acts in, with its AWS target configuration
+router.get('/current', (req, res) => {
+  res.json({
+    success: true,
+    tenant: req.tenant
+  });
+});
+
+router.get('/', requirePlatformAdmin, async (req, res) => {
+  try {
+    const tenants = await listTenants();
+
+    res.json({
+      success: true,
+      count: tenants.length,
+      tenants
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'List tenants');
+  }
+});
+
+router.post('/', requirePlatformAdmin, async (req, res) => {
+  try {
+    const tenant = await createTenant(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      tenant
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Create tenant');
+  }
+});
+
+router.get('/:tenantId', requirePlatformAdmin, async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.tenantId);
+    if (!tenant) {
+      return tenantNotFound(res, req.params.tenantId);
+    }
+
+    res.json({
+      success: true,
+      tenant
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Get tenant');
+  }
+});
+
+// Update the name or AWS target configuration; omitted fields are kept
+router.patch('/:tenantId', requirePlatformAdmin, async (req, res) => {
+  try {
+    const tenant = await updateTenant(req.params.tenantId, req.body || {});
+    if (!tenant) {
+      return tenantNotFound(res, req.params.tenantId);
+    }
+
+    res.json({
+      success: true,
+      tenant
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Update tenant');
+  }
+});
+
+// Deleting a tenant revokes its API keys
+router.delete('/:tenantId', requirePlatformAdmin, async (req, res) => {
+  try {
+    if (!await deleteTenant(req.params.tenantId)) {
+      return tenantNotFound(res, req.params.tenantId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Tenant deleted'
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Delete tenant');
+  }
+});
+
+export { router as tenantsRoutes };
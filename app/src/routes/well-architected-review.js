@@ -1,45 +1,74 @@
 import { Router } from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import { WellArchitectedReviewService } from '../services/well-architected-review.js';
+import {
+  WellArchitectedReviewService,
+  startReviews,
+  InvalidReviewRequestError,
+  ReviewTargetNotFoundError,
+  ReviewNotFoundError,
+  ReviewNotCompletedError
+} from '../services/well-architected-review.js';
+import { InvalidAnswerError } from '../services/answers.js';
+import { compareSessions } from '../services/comparison.js';
+import { getReviewJob, listReviewJobs, cancelReviewJob, ReviewJobConflictError } from '../services/review-jobs.js';
+import { progressStream } from './progress-stream.js';
+import { requireRole, sessionInTenant } from '../middleware/auth.js';
+import { principalName } from '../services/auth.js';
+import { getTenantAwsService, TenantTargetError } from '../services/tenants.js';
+import { renderReport, REPORT_FORMATS } from '../services/report-export.js';
+import {
+  exportWaToolReview,
+  importWaToolReview,
+  InvalidWaToolFileError
+} from '../services/wa-tool.js';
 
 const router = Router();
 
+router.param('sessionId', sessionInTenant);
+
 // Start a new Well-Architected Review
+// Optionally targets other accounts (accountId, accountIds or organizationalUnitId) through an assumable role;
+// one session is created per account. lenses lists the aliases the review covers (default: the framework only).
+// With a workloadId the review belongs to that workload, whose accounts, regions and lenses fill in what the request leaves out.
+// Targets outside the caller's tenant are refused with 403.
 router.post('/start', async (req, res) => {
   try {
-    const sessionId = uuidv4();
-    const awsService = req.app.locals.awsService();
-    const bedrockService = req.app.locals.bedrockService();
-    const logger = req.app.locals.logger;
-    const db = req.app.locals.db;
-
-    logger.info(`🚀 Starting Well-Architected Review session ${sessionId}`);
-
-    // Create session immediately and return
-    await db.run(
-      'INSERT INTO analysis_sessions (id, analysis_status, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
-      [sessionId, 'processing']
-    );
-
-    // Start the review process asynchronously
-    const reviewService = new WellArchitectedReviewService(awsService, bedrockService);
-    reviewService.startReview(sessionId).catch(error => {
-      logger.error(`Review ${sessionId} failed:`, error);
-      db.run(
-        'UPDATE analysis_sessions SET analysis_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        ['failed', sessionId]
-      );
+    const started = await startReviews(req.body || {}, {
+      awsService: req.app.locals.awsService(),
+      config: req.app.locals.config,
+      logger: req.app.locals.logger,
+      user: req.user,
+      tenant: req.tenant
     });
 
     // Return immediately so the frontend can start polling for progress
     res.json({
       success: true,
-      message: 'Well-Architected Review started successfully',
-      sessionId: sessionId,
-      status: 'processing'
+      message: started.sessions.length > 1 ?
+        `Well-Architected Reviews started for ${started.sessions.length} accounts` :
+        'Well-Architected Review started successfully',
+      ...started
     });
 
   } catch (error) {
+    if (error instanceof InvalidReviewRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof ReviewTargetNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof TenantTargetError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     req.app.locals.logger.error('Failed to start Well-Architected Review:', error);
     res.status(500).json({ 
       success: false, 
@@ -48,26 +77,142 @@ router.post('/start', async (req, res) => {
   }
 });
 
-// Submit an answer to a question
+// Compare two reviews: answer and risk changes per question, new and resolved findings, pillar score deltas
+router.get('/compare', async (req, res) => {
+  try {
+    const { base, target } = req.query;
+
+    if (!base || !target) {
+      return res.status(400).json({
+        success: false,
+        error: 'base and target session IDs are required'
+      });
+    }
+
+    const comparison = await compareSessions(base, target, req.tenant.tenantId);
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Base or target session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...comparison
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Failed to compare reviews:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List background review jobs, newest first (filter: status)
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await listReviewJobs({ tenantId: req.tenant.tenantId, status: req.query.status });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Failed to list review jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get the background job of a review: its status, the last step it finished and its attempts
+router.get('/:sessionId/job', async (req, res) => {
+  try {
+    const job = await getReviewJob(req.params.sessionId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `No job found for review ${req.params.sessionId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Failed to get review job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cancel a review: a queued one at once, a running one once its current step ends
+router.post('/:sessionId/cancel', async (req, res) => {
+  try {
+    const job = await cancelReviewJob(req.params.sessionId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `No job found for review ${req.params.sessionId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Review cancelled' : 'Review will stop after its current step',
+      job
+    });
+
+  } catch (error) {
+    if (error instanceof ReviewJobConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.app.locals.logger.error('Failed to cancel review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Submit an answer to a question: free text (answer), best-practice choice ids (selectedChoices) or both, plus notes
 router.post('/:sessionId/answer', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { questionKey, answer } = req.body;
+    const { questionKey, answer, selectedChoices, notes } = req.body;
     const awsService = req.app.locals.awsService();
     const bedrockService = req.app.locals.bedrockService();
     const logger = req.app.locals.logger;
 
-    if (!questionKey || !answer) {
+    if (!questionKey || (!answer && !(Array.isArray(selectedChoices) && selectedChoices.length > 0))) {
       return res.status(400).json({
         success: false,
-        error: 'Question key and answer are required'
+        error: 'Question key and an answer or selected choices are required'
       });
     }
 
     logger.info(`📝 Processing answer for question ${questionKey} in session ${sessionId}`);
 
     const reviewService = new WellArchitectedReviewService(awsService, bedrockService);
-    const result = await reviewService.submitUserAnswer(sessionId, questionKey, answer);
+    const result = await reviewService.submitUserAnswer(sessionId, questionKey, answer, {
+      selectedChoices,
+      notes,
+      answeredBy: principalName(req.user)
+    });
 
     res.json({
       success: true,
@@ -78,6 +223,13 @@ router.post('/:sessionId/answer', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvalidAnswerError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     req.app.locals.logger.error('Failed to process answer:', error);
     res.status(500).json({ 
       success: false, 
@@ -110,22 +262,51 @@ router.get('/:sessionId/status', async (req, res) => {
   }
 });
 
-// Get final report
+// Stream review progress (Server-Sent Events): steps, collectors, Bedrock calls and completion
+router.get('/:sessionId/events', progressStream);
+
+// Get final report: JSON by default, or a download rendered as ?format=markdown, html or pdf
 router.get('/:sessionId/report', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const { format = 'json' } = req.query;
     const awsService = req.app.locals.awsService();
     const bedrockService = req.app.locals.bedrockService();
 
+    if (format !== 'json' && !REPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: json, ${Object.keys(REPORT_FORMATS).join(', ')}`
+      });
+    }
+
     const reviewService = new WellArchitectedReviewService(awsService, bedrockService);
     const report = await reviewService.getFinalReport(sessionId);
 
+    if (format !== 'json') {
+      const { contentType, fileName, body } = await renderReport(report, format);
+      return res.type(contentType).attachment(fileName).send(body);
+    }
+
     res.json({
       success: true,
       ...report
     });
 
   } catch (error) {
+    if (error instanceof ReviewNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof ReviewNotCompletedError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     req.app.locals.logger.error('Failed to get final report:', error);
     res.status(500).json({ 
       success: false, 
@@ -134,15 +315,83 @@ router.get('/:sessionId/report', async (req, res) => {
   }
 });
 
-// Get comprehensive AWS analysis (for debugging/admin)
-router.get('/aws-analysis', async (req, res) => {
+// Download a completed review for the AWS Well-Architected Tool: workload metadata, milestone name and
+// the answers of every lens as UpdateAnswer input. ?milestoneName= overrides the milestone name.
+router.get('/:sessionId/export/wa-tool', async (req, res) => {
   try {
-    const awsService = req.app.locals.awsService();
+    const { sessionId } = req.params;
+    const file = await exportWaToolReview(sessionId, req.tenant.tenantId, { milestoneName: req.query.milestoneName });
+
+    res.attachment(`wa-tool-review-${sessionId}.json`).json(file);
+
+  } catch (error) {
+    if (error instanceof ReviewNotCompletedError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.app.locals.logger.error('Failed to export review for the Well-Architected Tool:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a review from a Well-Architected Tool export (or list-answers output) without calling AWS.
+// Unmatched questions and choices are listed in the response.
+router.post('/import/wa-tool', async (req, res) => {
+  try {
+    const reviewService = new WellArchitectedReviewService(req.app.locals.awsService(), req.app.locals.bedrockService());
+    const result = await importWaToolReview(req.body, {
+      tenant: req.tenant,
+      user: req.user,
+      reviewService
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.isComplete ?
+        'Review imported and completed. Final report generated.' :
+        `Review imported. ${result.remainingQuestions} questions remain unanswered.`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidWaToolFileError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof TenantTargetError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.app.locals.logger.error('Failed to import Well-Architected Tool review:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get comprehensive AWS analysis (for debugging/admin) of the tenant's first account
+router.get('/aws-analysis', requireRole('admin'), async (req, res) => {
+  try {
+    const awsService = await getTenantAwsService(req.app.locals.awsService(), req.tenant, {
+      config: req.app.locals.config
+    });
     const logger = req.app.locals.logger;
 
     logger.info('🔍 Running comprehensive AWS analysis');
 
-    const analysis = await awsService.performComprehensiveAnalysis();
+    const analysis = await awsService.performComprehensiveAnalysis({ regions: req.query.regions });
 
     res.json({
       success: true,
@@ -151,6 +400,13 @@ router.get('/aws-analysis', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof TenantTargetError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     req.app.locals.logger.error('Failed to perform AWS analysis:', error);
     res.status(500).json({ 
       success: false, 
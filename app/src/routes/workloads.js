@@ -0,0 +1,225 @@
+import { Router } from 'express';
+import {
+  createWorkload,
+  listWorkloads,
+  getWorkload,
+  updateWorkload,
+  deleteWorkload,
+  listWorkloadReviews,
+  createMilestone,
+  listMilestones,
+  getMilestone,
+  InvalidWorkloadError,
+  WorkloadConflictError
+} from '../services/workloads.js';
+import { getWorkloadTrend } from '../services/comparison.js';
+
+const router = Router();
+
+// Maps service errors to 400/409 and anything else to 500
+const sendError = (req, res, error, context) => {
+  if (error instanceof InvalidWorkloadError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof WorkloadConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  req.app.locals.logger.error(`${context} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+const workloadNotFound = (res, workloadId) => res.status(404).json({
+  success: false,
+  error: `Workload ${workloadId} not found`
+});
+
+// List workloads (filters: owner, environment)
+router.get('/', async (req, res) => {
+  try {
+    const { owner, environment } = req.query;
+    const workloads = await listWorkloads({ tenantId: req.tenant.tenantId, owner, environment });
+
+    res.json({
+      success: true,
+      count: workloads.length,
+      workloads
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'List workloads');
+  }
+});
+
+// Create a workload: name and environment are required; accountIds, regions and lenses are the defaults of its reviews
+router.post('/', async (req, res) => {
+  try {
+    const workload = await createWorkload(req.body || {}, req.tenant.tenantId);
+    req.app.locals.logger.info(`📦 Created workload ${workload.name} (${workload.workloadId})`);
+
+    res.status(201).json({
+      success: true,
+      workload
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Create workload');
+  }
+});
+
+router.get('/:workloadId', async (req, res) => {
+  try {
+    const workload = await getWorkload(req.params.workloadId, req.tenant.tenantId);
+    if (!workload) {
+      return workloadNotFound(res, req.params.workloadId);
+    }
+
+    res.json({
+      success: true,
+      workload
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Get workload');
+  }
+});
+
+// Update some fields of a workload; reviews already started keep their accounts, regions and lenses
+router.patch('/:workloadId', async (req, res) => {
+  try {
+    const workload = await updateWorkload(req.params.workloadId, req.body || {}, req.tenant.tenantId);
+    if (!workload) {
+      return workloadNotFound(res, req.params.workloadId);
+    }
+
+    res.json({
+      success: true,
+      workload
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Update workload');
+  }
+});
+
+router.delete('/:workloadId', async (req, res) => {
+  try {
+    if (!await deleteWorkload(req.params.workloadId, req.tenant.tenantId)) {
+      return workloadNotFound(res, req.params.workloadId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Workload deleted'
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Delete workload');
+  }
+});
+
+// Reviews of a workload, newest first; start one with POST /api/review/start and a workloadId
+router.get('/:workloadId/reviews', async (req, res) => {
+  try {
+    if (!await getWorkload(req.params.workloadId, req.tenant.tenantId)) {
+      return workloadNotFound(res, req.params.workloadId);
+    }
+
+    const reviews = await listWorkloadReviews(req.params.workloadId);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      reviews
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'List workload reviews');
+  }
+});
+
+// Save completed reviews as a named milestone (default: the latest completed review of each account)
+router.post('/:workloadId/milestones', async (req, res) => {
+  try {
+    const { workloadId } = req.params;
+    const { name, sessionIds } = req.body || {};
+
+    if (!await getWorkload(workloadId, req.tenant.tenantId)) {
+      return workloadNotFound(res, workloadId);
+    }
+
+    const milestone = await createMilestone(workloadId, { name, sessionIds });
+
+    res.status(201).json({
+      success: true,
+      milestone
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Create milestone');
+  }
+});
+
+router.get('/:workloadId/milestones', async (req, res) => {
+  try {
+    const { workloadId } = req.params;
+    if (!await getWorkload(workloadId, req.tenant.tenantId)) {
+      return workloadNotFound(res, workloadId);
+    }
+
+    const milestones = await listMilestones(workloadId);
+
+    res.json({
+      success: true,
+      count: milestones.length,
+      milestones
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'List milestones');
+  }
+});
+
+router.get('/:workloadId/milestones/:milestoneNumber', async (req, res) => {
+  try {
+    const { workloadId, milestoneNumber } = req.params;
+    const milestone = await getWorkload(workloadId, req.tenant.tenantId)
+      && await getMilestone(workloadId, Number(milestoneNumber));
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        error: `Milestone ${milestoneNumber} of workload ${workloadId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      milestone
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Get milestone');
+  }
+});
+
+// Pillar scores and risk issue counts over the milestones of a workload
+router.get('/:workloadId/trend', async (req, res) => {
+  try {
+    const { workloadId } = req.params;
+    if (!await getWorkload(workloadId, req.tenant.tenantId)) {
+      return workloadNotFound(res, workloadId);
+    }
+
+    res.json({
+      success: true,
+      workloadId,
+      ...await getWorkloadTrend(workloadId)
+    });
+
+  } catch (error) {
+    sendError(req, res, error, 'Get workload trend');
+  }
+});
+
+export { router as workloadsRoutes };
@@ -0,0 +1,228 @@
+import db, { DEFAULT_TENANT } from '../database/init.js';
+import { evaluateRiskRules } from '../catalog/index.js';
+import { listFindings } from './findings.js';
+import { getSessionLensIds, lensCondition } from './lenses.js';
+
+// Raised for answers that do not fit their question, so routes can answer 400 instead of 500
+export class InvalidAnswerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAnswerError';
+  }
+}
+
+// Answer risks as the Well-Architected Tool reports them. UNANSWERED also covers answers whose risk
+// cannot be judged yet, such as free text without selected choices.
+export const ANSWER_RISKS = ['HIGH', 'MEDIUM', 'NONE', 'UNANSWERED'];
+
+// The tool has no low-risk answers, so a LOW_RISK rule counts as NONE
+const LENS_RISK_TO_ANSWER_RISK = {
+  HIGH_RISK: 'HIGH',
+  MEDIUM_RISK: 'MEDIUM',
+  LOW_RISK: 'NONE',
+  NO_RISK: 'NONE'
+};
+
+const AUTO_ANSWER_SOURCES = ['agent', 'agent_derived'];
+
+export const getQuestionChoices = async (questionId) => {
+  const rows = await db.all(
+    'SELECT * FROM question_choices WHERE question_id = ? ORDER BY position, id',
+    [questionId]
+  );
+  return rows.map(toChoice);
+};
+
+// Returns the selected keys in catalog order. Unknown keys, or "None of these" combined with
+// best practices, are rejected.
+export const validateSelectedChoices = (choices, selectedChoices = []) => {
+  if (!Array.isArray(selectedChoices)) {
+    throw new InvalidAnswerError('selectedChoices must be an array of choice ids');
+  }
+
+  const unknown = selectedChoices.filter(key => !choices.some(choice => choice.key === key));
+  if (unknown.length > 0) {
+    throw new InvalidAnswerError(`Unknown choices: ${unknown.join(', ')}`);
+  }
+
+  const selected = choices.filter(choice => selectedChoices.includes(choice.key));
+  if (selected.some(choice => choice.none) && selected.length > 1) {
+    throw new InvalidAnswerError('"None of these" cannot be combined with other choices');
+  }
+
+  return selected.map(choice => choice.key);
+};
+
+// Choices picked by the model are best effort: unknown keys are dropped instead of failing the review
+export const sanitizeSelectedChoices = (choices, selectedChoices) => {
+  const known = (Array.isArray(selectedChoices) ? selectedChoices : [])
+    .filter(key => choices.some(choice => choice.key === key));
+  try {
+    return validateSelectedChoices(choices, known);
+  } catch (error) {
+    return known.filter(key => !choices.find(choice => choice.key === key).none);
+  }
+};
+
+export const describeSelectedChoices = (choices, selectedChoices = []) => choices
+  .filter(choice => selectedChoices.includes(choice.key))
+  .map(choice => choice.title)
+  .join('; ');
+
+// Selected choices are judged by the question's risk rules. Auto answers without choices fall back to
+// the open findings of their question: critical or high findings make it HIGH, medium ones MEDIUM.
+export const computeAnswerRisk = async ({ question, sessionId, selectedChoices = [], source }) => {
+  if (selectedChoices.length > 0) {
+    const lensRisk = evaluateRiskRules(JSON.parse(question.risk_rules || '[]'), selectedChoices);
+    return LENS_RISK_TO_ANSWER_RISK[lensRisk] || 'NONE';
+  }
+
+  if (!AUTO_ANSWER_SOURCES.includes(source)) {
+    return 'UNANSWERED';
+  }
+
+  const findings = await listFindings({ sessionId, questionKey: question.question_key, status: 'open' });
+  if (findings.some(finding => ['critical', 'high'].includes(finding.severity))) {
+    return 'HIGH';
+  }
+  return findings.some(finding => finding.severity === 'medium') ? 'MEDIUM' : 'NONE';
+};
+
+export const saveAnswer = async ({
+  questionId,
+  sessionId,
+  answerText = null,
+  selectedChoices = [],
+  notes = null,
+  confidence = null,
+  source = 'user',
+  answeredBy = null
+}) => {
+  const question = await db.get('SELECT question_key, risk_rules FROM questions WHERE id = ?', [questionId]);
+  const risk = await computeAnswerRisk({ question, sessionId, selectedChoices, source });
+
+  await db.run(
+    `INSERT INTO answers (question_id, session_id, answer_text, selected_choices, notes, confidence_score, source, risk, answered_by,
+                          tenant_id, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT tenant_id FROM analysis_sessions WHERE id = ?), ?), CURRENT_TIMESTAMP)
+     ON CONFLICT(question_id, session_id) DO UPDATE SET
+       answer_text = excluded.answer_text,
+       selected_choices = excluded.selected_choices,
+       notes = excluded.notes,
+       confidence_score = excluded.confidence_score,
+       source = excluded.source,
+       risk = excluded.risk,
+       answered_by = excluded.answered_by,
+       updated_at = CURRENT_TIMESTAMP`,
+    [questionId, sessionId, answerText, JSON.stringify(selectedChoices), notes, confidence, source, risk, answeredBy, sessionId, DEFAULT_TENANT]
+  );
+
+  return { risk };
+};
+
+// Answers saved before risks were computed get theirs the first time their session is read
+const refreshAnswerRisks = async (sessionId) => {
+  const rows = await db.all(`
+    SELECT a.id, a.selected_choices, a.source, q.question_key, q.risk_rules
+    FROM answers a
+    JOIN questions q ON a.question_id = q.id
+    WHERE a.session_id = ? AND a.risk IS NULL
+  `, [sessionId]);
+
+  for (const row of rows) {
+    const risk = await computeAnswerRisk({
+      question: row,
+      sessionId,
+      selectedChoices: JSON.parse(row.selected_choices || '[]'),
+      source: row.source
+    });
+    await db.run('UPDATE answers SET risk = ? WHERE id = ?', [risk, row.id]);
+  }
+};
+
+// Risk of every question of the session's lenses; questions without an answer are UNANSWERED
+export const listSessionQuestionRisks = async (sessionId) => {
+  await refreshAnswerRisks(sessionId);
+
+  const condition = lensCondition(await getSessionLensIds(sessionId));
+  return db.all(`
+    SELECT l.alias as lens, p.name as pillar, q.question_key as questionKey, COALESCE(a.risk, 'UNANSWERED') as risk
+    FROM questions q
+    JOIN pillars p ON q.pillar_id = p.id
+    JOIN lenses l ON q.lens_id = l.id
+    LEFT JOIN answers a ON a.question_id = q.id AND a.session_id = ?
+    WHERE ${condition.sql}
+    ORDER BY q.lens_id, p.id, q.position, q.id
+  `, [sessionId, ...condition.params]);
+};
+
+// High and medium risk issues in total and per pillar, from question risks as listed above
+export const summarizeRisks = (questionRisks) => {
+  const emptyCounts = () => Object.fromEntries(ANSWER_RISKS.map(risk => [risk, 0]));
+  const totals = emptyCounts();
+  const byPillar = [];
+
+  questionRisks.forEach(({ lens, pillar, risk }) => {
+    let entry = byPillar.find(candidate => candidate.lens === lens && candidate.pillar === pillar);
+    if (!entry) {
+      entry = { lens, pillar, questions: 0, risks: emptyCounts() };
+      byPillar.push(entry);
+    }
+    entry.questions++;
+    entry.risks[risk]++;
+    totals[risk]++;
+  });
+
+  return {
+    highRiskIssues: totals.HIGH,
+    mediumRiskIssues: totals.MEDIUM,
+    totals,
+    byPillar
+  };
+};
+
+export const summarizeSessionRisks = async (sessionId) => summarizeRisks(await listSessionQuestionRisks(sessionId));
+
+// Answers of a session with their selected choices resolved to titles
+export const listSessionAnswers = async (sessionId) => {
+  await refreshAnswerRisks(sessionId);
+
+  const rows = await db.all(`
+    SELECT q.id as question_id, q.question_key, q.question_text, q.category, p.name as pillar_name, l.alias as lens_alias,
+           a.answer_text, a.selected_choices, a.notes, a.risk, a.confidence_score, a.source, a.answered_by, a.created_at, a.updated_at
+    FROM answers a
+    JOIN questions q ON a.question_id = q.id
+    JOIN pillars p ON q.pillar_id = p.id
+    JOIN lenses l ON q.lens_id = l.id
+    WHERE a.session_id = ?
+    ORDER BY q.lens_id, p.name, q.category, q.position, q.id
+  `, [sessionId]);
+
+  const choices = await db.all(`
+    SELECT c.question_id, c.choice_key, c.title
+    FROM question_choices c
+    JOIN answers a ON a.question_id = c.question_id
+    WHERE a.session_id = ?
+  `, [sessionId]);
+
+  return rows.map(({ question_id: questionId, ...row }) => {
+    const selected = JSON.parse(row.selected_choices || '[]');
+    return {
+      ...row,
+      selected_choices: selected.map(key => ({
+        key,
+        title: choices.find(choice => choice.question_id === questionId && choice.choice_key === key)?.title || null
+      }))
+    };
+  });
+};
+
+const toChoice = (row) => ({
+  key: row.choice_key,
+  title: row.title,
+  description: row.description,
+  helpfulResourceUrl: row.helpful_resource_url,
+  improvementPlan: row.improvement_plan,
+  improvementPlanUrl: row.improvement_plan_url,
+  none: row.is_none === 1
+});
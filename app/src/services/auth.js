@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createLocalJWKSet, createRemoteJWKSet, jwtVerify } from 'jose';
+import db, { DEFAULT_TENANT } from '../database/init.js';
+
+// Roles from least to most privileged; each role can do everything the roles before it can
+export const ROLES = ['read-only', 'reviewer', 'admin'];
+
+const API_KEY_PREFIX = 'waar_';
+
+// Raised for requests without valid credentials, so routes can answer 401
+export class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+// Raised when the caller's role does not allow an operation, so routes can answer 403
+export class AccessDeniedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+// Raised for API key requests that fail validation, so routes can answer 400
+export class InvalidApiKeyRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidApiKeyRequestError';
+  }
+}
+
+// A null user is a caller authentication does not apply to: the stdio MCP server, or any request
+// while AUTH_MODE=disabled
+export const hasRole = (user, role) => !user || ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Platform admins manage tenants and choose the tenant they act in
+export const isPlatformAdmin = (user) => !user || user.platformAdmin === true;
+
+export const assertRole = (user, role) => {
+  if (!hasRole(user, role)) {
+    throw new AccessDeniedError(`This operation requires the ${role} role`);
+  }
+};
+
+// Who a session or answer is recorded as created by
+export const principalName = (user) => user?.name || null;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const keysMatch = (key, expected) => {
+  const a = Buffer.from(hashApiKey(key));
+  const b = Buffer.from(hashApiKey(expected));
+  return crypto.timingSafeEqual(a, b);
+};
+
+// Verifies API keys and OIDC access tokens. A request authenticates with an X-API-Key header or an
+// Authorization: Bearer header holding either an API key or a JWT signed by the configured issuer.
+export class AuthService {
+  constructor() {
+    this.config = null;
+    this.keySet = null;
+  }
+
+  initialize(authConfig) {
+    this.config = authConfig;
+
+    if (!this.enabled) {
+      console.log('⚠️  Authentication is disabled (AUTH_MODE=disabled): every caller has the admin role');
+      return;
+    }
+
+    const { jwt } = authConfig;
+    if (jwt.jwksFile) {
+      this.keySet = createLocalJWKSet(JSON.parse(fs.readFileSync(jwt.jwksFile, 'utf8')));
+    } else if (jwt.jwksUri) {
+      this.keySet = createRemoteJWKSet(new URL(jwt.jwksUri));
+    }
+
+    console.log(`🔐 Authentication enabled: API keys${jwt.issuer ? `, JWTs from ${jwt.issuer}` : ''}`);
+  }
+
+  get enabled() {
+    return this.config?.mode !== 'disabled';
+  }
+
+  // Returns the caller as { name, role, method, tenantId }, or null when authentication is disabled.
+  // tenant is the tenant a platform admin asks to act in (the X-Tenant-ID header).
+  async authenticate({ authorization, apiKey, tenant }) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1]?.trim();
+    const credential = apiKey || bearer;
+    if (!credential) {
+      throw new AuthenticationError('Authentication required: send an X-API-Key header or an Authorization: Bearer token');
+    }
+
+    // JWTs are three dot-separated parts; anything else in a bearer header is taken as an API key
+    if (apiKey || credential.split('.').length !== 3) {
+      return this.authenticateApiKey(credential, tenant);
+    }
+    return this.authenticateJwt(credential);
+  }
+
+  async authenticateApiKey(key, tenant) {
+    if (this.config.adminApiKey && keysMatch(key, this.config.adminApiKey)) {
+      return {
+        name: 'api-key:admin',
+        role: 'admin',
+        method: 'api_key',
+        tenantId: tenant || DEFAULT_TENANT,
+        platformAdmin: true
+      };
+    }
+
+    const stored = await db.get(
+      'SELECT id, name, role, tenant_id FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [hashApiKey(key)]
+    );
+    if (!stored) {
+      throw new AuthenticationError('Invalid API key');
+    }
+
+    await db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [stored.id]);
+    return { name: `api-key:${stored.name}`, role: stored.role, method: 'api_key', tenantId: stored.tenant_id };
+  }
+
+  async authenticateJwt(token) {
+    const { jwt } = this.config;
+    if (!jwt.issuer) {
+      throw new AuthenticationError('Token authentication is not configured (AUTH_JWT_ISSUER)');
+    }
+
+    let payload;
+    try {
+      ({ payload } = await jwtVerify(token, await this.getKeySet(), {
+        issuer: jwt.issuer,
+        ...(jwt.audience && { audience: jwt.audience })
+      }));
+    } catch (error) {
+      throw new AuthenticationError(`Invalid token: ${error.message}`);
+    }
+
+    const role = this.roleFromClaims(payload);
+    if (!role) {
+      throw new AccessDeniedError(`Token of ${payload.sub} grants no role of this application`);
+    }
+
+    const tenantId = payload[jwt.tenantClaim] || jwt.defaultTenant;
+    if (!tenantId) {
+      throw new AccessDeniedError(`Token of ${payload.sub} names no tenant`);
+    }
+
+    return {
+      name: payload.email || payload.preferred_username || payload.sub,
+      role,
+      method: 'jwt',
+      tenantId: String(tenantId)
+    };
+  }
+
+  // Without a JWKS file or URI the keys are found through the issuer's OpenID discovery document
+  async getKeySet() {
+    if (!this.keySet) {
+      const discoveryUrl = `${this.config.jwt.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      const response = await fetch(discoveryUrl);
+      if (!response.ok) {
+        throw new Error(`OpenID discovery failed (${response.status}): ${discoveryUrl}`);
+      }
+      const { jwks_uri: jwksUri } = await response.json();
+      this.keySet = createRemoteJWKSet(new URL(jwksUri));
+    }
+    return this.keySet;
+  }
+
+  // The roles claim (a dotted path such as realm_access.roles) holds role names, or group names that
+  // AUTH_JWT_ROLE_MAPPING maps to roles. The most privileged match wins.
+  roleFromClaims(payload) {
+    const { rolesClaim, roleMapping, defaultRole } = this.config.jwt;
+    const claim = rolesClaim.split('.').reduce((value, key) => value?.[key], payload);
+    const values = Array.isArray(claim) ? claim : typeof claim === 'string' ? claim.split(/[\s,]+/) : [];
+
+    const roles = values.map(value => roleMapping[value] || value).filter(value => ROLES.includes(value));
+    if (roles.length === 0) {
+      return defaultRole || null;
+    }
+    return roles.reduce((best, role) => ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best);
+  }
+}
+
+// The key itself is only returned here; the database keeps its hash
+export const createApiKey = async ({ name, role }, { tenantId = DEFAULT_TENANT, createdBy = null } = {}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new InvalidApiKeyRequestError('name is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new InvalidApiKeyRequestError(`role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const { id } = await db.run(
+    'INSERT INTO api_keys (tenant_id, name, role, key_hash, key_prefix, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [tenantId, name.trim(), role, hashApiKey(key), key.slice(0, API_KEY_PREFIX.length + 6), createdBy]
+  );
+
+  console.log(`🔑 API key ${name.trim()} created with the ${role} role in tenant ${tenantId}`);
+  return { apiKey: await getApiKey(id, tenantId), key };
+};
+
+export const getApiKey = async (id, tenantId) => {
+  const row = await db.get('SELECT * FROM api_keys WHERE id = ? AND tenant_id = ?', [id, tenantId]);
+  return row ? toApiKey(row) : null;
+};
+
+export const listApiKeys = async (tenantId) => {
+  const rows = await db.all('SELECT * FROM api_keys WHERE tenant_id = ? ORDER BY id', [tenantId]);
+  return rows.map(toApiKey);
+};
+
+// Returns null when the tenant has no such key
+export const revokeApiKey = async (id, tenantId) => {
+  const { changes } = await db.run(
+    'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ? AND tenant_id = ?',
+    [id, tenantId]
+  );
+  return changes > 0 ? getApiKey(id, tenantId) : null;
+};
+
+const toApiKey = (row) => ({
+  keyId: row.id,
+  tenantId: row.tenant_id,
+  name: row.name,
+  role: row.role,
+  keyPrefix: row.key_prefix,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at
+});
@@ -1,6 +1,7 @@
 import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
 import { BedrockAgentRuntimeClient, InvokeAgentCommand } from '@aws-sdk/client-bedrock-agent-runtime';
 import configManager from '../config/index.js';
+import { bedrockPromptKey } from './fixtures.js';
 
 export class BedrockService {
   constructor(awsService) {
@@ -19,15 +20,18 @@ export class BedrockService {
         credentials: this.awsService.credentials
       };
 
+      // Model calls share the AWS service's fixture store, keyed on the prompt rather than the embedded data
+      const fixtureOptions = { region: this.config.region, keyOf: bedrockPromptKey };
+
       // Initialize runtime client for direct model invocation (if not agent-only)
       if (!this.config.agentOnly) {
-        this.client = new BedrockRuntimeClient(clientConfig);
+        this.client = this.awsService.fixtures.wrapClient(new BedrockRuntimeClient(clientConfig), fixtureOptions);
         console.log(`✅ Bedrock Runtime Client initialized - Model: ${this.config.modelId}`);
       }
       
       // Initialize agent client if agent ID is provided
       if (this.config.agentId) {
-        this.agentClient = new BedrockAgentRuntimeClient(clientConfig);
+        this.agentClient = this.awsService.fixtures.wrapClient(new BedrockAgentRuntimeClient(clientConfig), fixtureOptions);
         console.log(`✅ Bedrock Agent Client initialized - Agent: ${this.config.agentId}`);
       }
 
@@ -769,11 +773,16 @@ Format as JSON:
     }
   }
 
-  async analyzeText(prompt) {
+  // onProgress(type, data), when given, receives bedrock events as each call starts, streams and ends
+  async analyzeText(prompt, { operation = 'analysis', onProgress } = {}) {
+    const report = (status, data = {}) => onProgress?.('bedrock', { operation, status, ...data });
+    let startedAt = Date.now();
+
     try {
       // First try with agent if available
       if (this.config.agentId && this.agentClient) {
         try {
+          report('started', { source: 'agent' });
           const command = new InvokeAgentCommand({
             agentId: this.config.agentId,
             agentAliasId: this.config.agentAliasId,
@@ -789,10 +798,12 @@ Format as JSON:
               const chunk = JSON.parse(Buffer.from(event.chunk.bytes).toString());
               if (chunk.type === 'chunk') {
                 fullResponse += chunk.bytes ? Buffer.from(chunk.bytes, 'base64').toString() : '';
+                report('streaming', { source: 'agent', characters: fullResponse.length });
               }
             }
           }
 
+          report('finished', { source: 'agent', durationMs: Date.now() - startedAt });
           return {
             success: true,
             analysis: fullResponse,
@@ -800,6 +811,7 @@ Format as JSON:
           };
         } catch (agentError) {
           console.warn('Agent text analysis failed, falling back to model:', agentError.message);
+          report('failed', { source: 'agent', error: agentError.message, durationMs: Date.now() - startedAt });
           
           if (this.config.agentOnly) {
             throw new Error(`Agent text analysis failed: ${agentError.message}`);
@@ -812,6 +824,8 @@ Format as JSON:
         throw new Error('Direct model invocation is disabled in agent-only mode');
       }
 
+      startedAt = Date.now();
+      report('started', { source: 'model' });
       const command = new InvokeModelCommand({
         modelId: this.config.modelId,
         contentType: 'application/json',
@@ -829,9 +843,16 @@ Format as JSON:
         })
       });
 
-      const response = await this.client.send(command);
+      let response;
+      try {
+        response = await this.client.send(command);
+      } catch (modelError) {
+        report('failed', { source: 'model', error: modelError.message, durationMs: Date.now() - startedAt });
+        throw modelError;
+      }
       const responseBody = JSON.parse(Buffer.from(response.body).toString());
-      
+
+      report('finished', { source: 'model', durationMs: Date.now() - startedAt });
       return {
         success: true,
         analysis: responseBody.content[0].text,
@@ -844,7 +865,8 @@ Format as JSON:
     }
   }
 
-  async analyzeAWSDataForWellArchitected(awsData) {
+  // questions is the catalog as [{ question_key, question_text, pillar_name, choices: [{ key, title }] }]
+  async analyzeAWSDataForWellArchitected(awsData, questions = [], { onProgress } = {}) {
     try {
       console.log('🤖 Analyzing AWS data with Bedrock Agent for Well-Architected questions');
 
@@ -852,20 +874,25 @@ Format as JSON:
 
 AWS ANALYSIS DATA:
 ${JSON.stringify(awsData, null, 2)}
-
+${questions.length > 0 ? `
+WELL-ARCHITECTED QUESTIONS (question key, question, then the id and title of each best-practice choice):
+${questions.map(question => `${question.question_key} [${question.pillar_name}] ${question.question_text}
+${question.choices.map(choice => `  - ${choice.key}: ${choice.title}`).join('\n')}`).join('\n')}
+` : ''}
 Your task:
-1. Review the AWS data (Trusted Advisor, Cost Explorer, IAM, EC2, CloudWatch, Config)
+1. Review the AWS data (Trusted Advisor, Cost Explorer, IAM, S3, EC2, VPC networking, RDS, Lambda, API Gateway, SQS, CloudWatch, CloudTrail, Config)
 2. Automatically answer Well-Architected Framework questions where you have sufficient data
-3. For each auto-answered question, provide the answer and confidence score (0.0-1.0)
+3. For each auto-answered question, provide the answer, the ids of the best-practice choices the data shows are in place, and a confidence score (0.0-1.0)
 4. Identify questions that require user input because the data is insufficient
 
 Please respond in the following JSON format:
 {
   "autoAnswers": [
     {
-      "questionKey": "SEC01",
+      "questionKey": "SEC02",
       "pillar": "Security", 
       "answer": "Based on the IAM analysis, MFA is enabled for 80% of users...",
+      "selectedChoices": ["SEC02_BP01", "SEC02_BP04"],
       "confidence": 0.85,
       "dataSource": "IAM Analysis - Credential Report"
     }
@@ -880,7 +907,13 @@ Please respond in the following JSON format:
   "summary": "Automatically answered 15 questions based on AWS data analysis. Remaining questions require organizational and procedural context."
 }`;
 
-      const response = await this.analyzeText(prompt);
+      let response;
+      try {
+        response = await this.analyzeText(prompt, { operation: 'auto_answer', onProgress });
+      } catch (error) {
+        console.warn('⚠️ Bedrock unavailable, all questions need user input:', error.message);
+        response = { success: false };
+      }
       
       if (response.success) {
         try {
@@ -907,7 +940,7 @@ Please respond in the following JSON format:
     }
   }
 
-  async analyzeUserAnswer(userAnswer, questionKey, sessionId) {
+  async analyzeUserAnswer(userAnswer, questionKey, sessionId, { onProgress } = {}) {
     try {
       console.log(`🤖 Analyzing user answer for question ${questionKey}`);
 
@@ -943,7 +976,13 @@ Please respond in JSON format:
   ]
 }`;
 
-      const response = await this.analyzeText(prompt);
+      let response;
+      try {
+        response = await this.analyzeText(prompt, { operation: 'answer_analysis', onProgress });
+      } catch (error) {
+        console.warn('⚠️ Bedrock unavailable, recording answer without analysis:', error.message);
+        response = { success: false };
+      }
       
       if (response.success) {
         try {
@@ -973,12 +1012,30 @@ Please respond in JSON format:
     }
   }
 
-  async generateWellArchitectedReport(answers, awsData) {
+  async generateWellArchitectedReport(answers, awsData, { suppressions, onProgress } = {}) {
     try {
       console.log('📊 Generating comprehensive Well-Architected Framework report');
 
+      // Scores are computed by the rule engine; the model only explains them
+      const ruleEngine = this.awsService.ruleEngine;
+      const evaluation = ruleEngine.evaluate(awsData || {}, { suppressions });
+
       const prompt = `You are an expert AWS Well-Architected Framework reviewer. Generate a comprehensive Well-Architected Framework report based on the provided answers and AWS analysis data.
 
+PILLAR SCORES (computed by deterministic rules - use these exact scores, do not invent or adjust them):
+${JSON.stringify({
+  overallScore: evaluation.overallScore,
+  maturityLevel: evaluation.maturityLevel,
+  pillars: Object.fromEntries(Object.entries(evaluation.pillars).map(([key, pillar]) => [key, {
+    score: pillar.score,
+    status: pillar.status,
+    failedRules: pillar.failedRules
+  }]))
+}, null, 2)}
+
+ACCEPTED RISKS (suppressed findings - do not report these as issues or count them as critical):
+${JSON.stringify(ruleEngine.acceptedRisks(evaluation), null, 2)}
+
 ANSWERS TO WELL-ARCHITECTED QUESTIONS:
 ${JSON.stringify(answers, null, 2)}
 
@@ -986,8 +1043,8 @@ AWS ANALYSIS DATA:
 ${JSON.stringify(awsData, null, 2)}
 
 Generate a comprehensive report with:
-1. Overall Well-Architected maturity score (1-5)
-2. Detailed analysis for each of the 6 pillars
+1. The overall score and maturity level given above
+2. Detailed analysis for each of the 6 pillars, explaining the given pillar scores
 3. Specific recommendations with priority levels
 4. Action plan with timelines
 5. Risk assessment
@@ -1049,13 +1106,19 @@ Please respond in JSON format:
   }
 }`;
 
-      const response = await this.analyzeText(prompt);
+      let response;
+      try {
+        response = await this.analyzeText(prompt, { operation: 'report', onProgress });
+      } catch (error) {
+        console.warn('⚠️ Bedrock unavailable, building report from rule results only:', error.message);
+        return ruleEngine.buildReport(evaluation);
+      }
       
       if (response.success) {
         try {
           const jsonMatch = response.analysis.match(/\{[\s\S]*\}/);
           if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+            return ruleEngine.applyScores(JSON.parse(jsonMatch[0]), evaluation);
           }
         } catch (error) {
           console.error('Error parsing Well-Architected report:', error);
@@ -1063,15 +1126,7 @@ Please respond in JSON format:
       }
 
       // Fallback response
-      return {
-        overallScore: 3.0,
-        maturityLevel: "Developing",
-        pillars: {},
-        criticalIssues: [],
-        quickWins: [],
-        actionPlan: { immediate: [], shortTerm: [], longTerm: [] },
-        estimatedCostImpact: { savings: "TBD", investments: "TBD", netBenefit: "TBD" }
-      };
+      return ruleEngine.buildReport(evaluation);
 
     } catch (error) {
       console.error('Error generating Well-Architected report:', error);
@@ -0,0 +1,209 @@
+import db from '../database/init.js';
+import { listSessionAnswers, listSessionQuestionRisks } from './answers.js';
+import { listFindings } from './findings.js';
+
+// Order used to tell improvements from regressions; UNANSWERED has no rank
+const RISK_RANK = { HIGH: 3, MEDIUM: 2, NONE: 1 };
+
+// Pillar scores of a session as stored in its final report (the recommendations JSON)
+const reportScores = (session) => {
+  const report = JSON.parse(session.recommendations || 'null');
+  if (!report) {
+    return null;
+  }
+
+  return {
+    overallScore: report.overallScore ?? null,
+    pillars: Object.fromEntries(Object.entries(report.pillars || {}).map(([key, pillar]) => [key, pillar?.score ?? null]))
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const scoreDelta = (base, target) => (base === null || base === undefined || target === null || target === undefined ?
+  null :
+  round(target - base));
+
+const riskDirection = (from, to) => {
+  if (!RISK_RANK[from] || !RISK_RANK[to]) {
+    return 'changed';
+  }
+  return RISK_RANK[to] < RISK_RANK[from] ? 'improved' : 'regressed';
+};
+
+// Questions are matched by lens and question key, so reviews on different lens versions still line up
+const questionStates = async (sessionId) => {
+  const answers = await listSessionAnswers(sessionId);
+  const risks = await listSessionQuestionRisks(sessionId);
+
+  return new Map(risks.map(({ lens, pillar, questionKey, risk }) => {
+    const answer = answers.find(candidate => candidate.lens_alias === lens && candidate.question_key === questionKey);
+    return [`${lens}:${questionKey}`, {
+      lens,
+      pillar,
+      questionKey,
+      questionText: answer?.question_text || null,
+      answer: answer ? {
+        answerText: answer.answer_text,
+        selectedChoices: answer.selected_choices.map(choice => choice.key),
+        notes: answer.notes,
+        source: answer.source
+      } : null,
+      risk
+    }];
+  }));
+};
+
+const sameAnswer = (base, target) => {
+  if (!base || !target) {
+    return base === target;
+  }
+  return base.answerText === target.answerText &&
+    base.notes === target.notes &&
+    [...base.selectedChoices].sort().join(',') === [...target.selectedChoices].sort().join(',');
+};
+
+// Findings are matched by fingerprint, so the same issue in a later review keeps its id
+const compareFindings = async (baseId, targetId) => {
+  const [baseFindings, targetFindings] = await Promise.all([
+    listFindings({ sessionId: baseId }),
+    listFindings({ sessionId: targetId })
+  ]);
+  const baseFindingIds = new Set(baseFindings.map(finding => finding.id));
+  const targetFindingIds = new Set(targetFindings.map(finding => finding.id));
+
+  return {
+    new: targetFindings.filter(finding => !baseFindingIds.has(finding.id)),
+    resolved: baseFindings.filter(finding => !targetFindingIds.has(finding.id))
+  };
+};
+
+// Compares two review sessions, typically of the same workload or account. Returns null when either is
+// missing or belongs to another tenant. Findings are only compared when both sessions collected AWS data;
+// an imported or unfinished review has none, which would count every finding of the other one as changed.
+export const compareSessions = async (baseId, targetId, tenantId) => {
+  const [base, target] = await Promise.all([baseId, targetId].map(sessionId => db.get(
+    `SELECT id, account_id, workload_id, analysis_status, recommendations, created_at,
+            json_type(bedrock_analysis, '$.awsData') IS NOT NULL AS collected
+     FROM analysis_sessions WHERE id = ? AND tenant_id = ?`,
+    [sessionId, tenantId]
+  )));
+  if (!base || !target) {
+    return null;
+  }
+
+  const [baseQuestions, targetQuestions] = await Promise.all([questionStates(base.id), questionStates(target.id)]);
+  const questions = [];
+  new Set([...baseQuestions.keys(), ...targetQuestions.keys()]).forEach(key => {
+    const before = baseQuestions.get(key);
+    const after = targetQuestions.get(key);
+    const answerChanged = !sameAnswer(before?.answer || null, after?.answer || null);
+    const riskChanged = before?.risk !== after?.risk;
+
+    if (answerChanged || riskChanged) {
+      const { lens, pillar, questionKey, questionText } = after || before;
+      questions.push({
+        lens,
+        pillar,
+        questionKey,
+        questionText: after?.questionText || before?.questionText || null,
+        answerChanged,
+        base: before ? { answer: before.answer, risk: before.risk } : null,
+        target: after ? { answer: after.answer, risk: after.risk } : null,
+        riskChange: riskChanged && before && after ?
+          { from: before.risk, to: after.risk, direction: riskDirection(before.risk, after.risk) } :
+          null
+      });
+    }
+  });
+
+  const findings = base.collected && target.collected ? await compareFindings(base.id, target.id) : null;
+
+  const baseScores = reportScores(base);
+  const targetScores = reportScores(target);
+  const pillarKeys = [...new Set([
+    ...Object.keys(baseScores?.pillars || {}),
+    ...Object.keys(targetScores?.pillars || {})
+  ])];
+
+  const riskChanges = questions.filter(question => question.riskChange);
+
+  return {
+    base: toSessionSummary(base),
+    target: toSessionSummary(target),
+    summary: {
+      answersChanged: questions.filter(question => question.answerChanged).length,
+      risksImproved: riskChanges.filter(question => question.riskChange.direction === 'improved').length,
+      risksRegressed: riskChanges.filter(question => question.riskChange.direction === 'regressed').length,
+      newFindings: findings?.new.length ?? null,
+      resolvedFindings: findings?.resolved.length ?? null
+    },
+    questions,
+    findings,
+    scores: {
+      overall: {
+        base: baseScores?.overallScore ?? null,
+        target: targetScores?.overallScore ?? null,
+        delta: scoreDelta(baseScores?.overallScore, targetScores?.overallScore)
+      },
+      pillars: pillarKeys.map(pillar => ({
+        pillar,
+        base: baseScores?.pillars[pillar] ?? null,
+        target: targetScores?.pillars[pillar] ?? null,
+        delta: scoreDelta(baseScores?.pillars[pillar], targetScores?.pillars[pillar])
+      }))
+    }
+  };
+};
+
+// Pillar scores and risk counts of every milestone of a workload, oldest first. Scores come from the final
+// reports of the milestone's reviews, averaged when it covers several accounts.
+export const getWorkloadTrend = async (workloadId) => {
+  const milestones = await db.all(
+    'SELECT id, milestone_number, name, risk_summary, created_at FROM milestones WHERE workload_id = ? ORDER BY milestone_number',
+    [workloadId]
+  );
+
+  const points = [];
+  for (const milestone of milestones) {
+    const sessions = await db.all(`
+      SELECT s.recommendations
+      FROM milestone_sessions ms
+      JOIN analysis_sessions s ON ms.session_id = s.id
+      WHERE ms.milestone_id = ?
+    `, [milestone.id]);
+    const scores = sessions.map(reportScores).filter(Boolean);
+
+    const average = (values) => {
+      const known = values.filter(value => typeof value === 'number');
+      return known.length > 0 ? round(known.reduce((sum, value) => sum + value, 0) / known.length) : null;
+    };
+    const pillarKeys = [...new Set(scores.flatMap(score => Object.keys(score.pillars)))];
+    const risks = JSON.parse(milestone.risk_summary);
+
+    points.push({
+      milestoneNumber: milestone.milestone_number,
+      name: milestone.name,
+      createdAt: milestone.created_at,
+      overallScore: average(scores.map(score => score.overallScore)),
+      pillarScores: Object.fromEntries(pillarKeys.map(key => [key, average(scores.map(score => score.pillars[key]))])),
+      highRiskIssues: risks.highRiskIssues,
+      mediumRiskIssues: risks.mediumRiskIssues
+    });
+  }
+
+  return {
+    pillars: [...new Set(points.flatMap(point => Object.keys(point.pillarScores)))],
+    milestones: points
+  };
+};
+
+const toSessionSummary = (session) => ({
+  sessionId: session.id,
+  accountId: session.account_id,
+  workloadId: session.workload_id,
+  status: session.analysis_status,
+  reportAvailable: Boolean(session.recommendations),
+  awsDataCollected: Boolean(session.collected),
+  createdAt: session.created_at
+});
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import db from '../database/init.js';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'informational'];
+
+// Collectors historically reported severities as priorities or Trusted Advisor statuses
+const SEVERITY_ALIASES = {
+  error: 'high',
+  warning: 'medium',
+  info: 'informational',
+  ok: 'informational'
+};
+
+export const normalizeSeverity = (severity) => {
+  const value = String(severity || '').toLowerCase();
+  if (SEVERITIES.includes(value)) return value;
+  return SEVERITY_ALIASES[value] || 'medium';
+};
+
+// The id is a fingerprint of what was found where, so the same issue keeps its id across reviews
+export const findingFingerprint = ({ source, type, accountId, region, resource }) => crypto
+  .createHash('sha256')
+  .update([source, type, accountId || '', region || '', resource || ''].join('|'))
+  .digest('hex')
+  .slice(0, 24);
+
+export const createFinding = ({
+  source,
+  type,
+  title,
+  description,
+  resource,
+  region = 'global',
+  accountId = null,
+  pillar,
+  questionKey = null,
+  severity,
+  evidence = {},
+  remediation = null
+}) => {
+  const finding = {
+    source,
+    type,
+    title,
+    description,
+    resource: resource || null,
+    region,
+    accountId,
+    pillar,
+    questionKey,
+    severity: normalizeSeverity(severity),
+    evidence,
+    remediation
+  };
+
+  return { id: findingFingerprint(finding), ...finding };
+};
+
+// Findings belong to the tenant of their session
+export const saveFindings = async (sessionId, findings = []) => {
+  const session = await db.get('SELECT tenant_id FROM analysis_sessions WHERE id = ?', [sessionId]);
+
+  for (const finding of findings) {
+    await db.run(
+      `INSERT INTO findings (tenant_id, session_id, finding_id, source, type, title, description, resource, region, account_id,
+                             pillar, question_key, severity, evidence, remediation)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(session_id, finding_id) DO UPDATE SET
+         severity = excluded.severity,
+         evidence = excluded.evidence,
+         remediation = excluded.remediation`,
+      [
+        session.tenant_id, sessionId, finding.id, finding.source, finding.type, finding.title, finding.description,
+        finding.resource, finding.region, finding.accountId, finding.pillar, finding.questionKey,
+        finding.severity, JSON.stringify(finding.evidence || {}), finding.remediation
+      ]
+    );
+  }
+};
+
+const FILTER_COLUMNS = {
+  tenantId: 'f.tenant_id',
+  sessionId: 'f.session_id',
+  accountId: 'f.account_id',
+  source: 'f.source',
+  pillar: 'f.pillar',
+  questionKey: 'f.question_key',
+  severity: 'f.severity',
+  region: 'f.region',
+  resource: 'f.resource'
+};
+
+export const FINDING_STATUSES = ['open', 'suppressed'];
+
+// status reflects suppressions as of now, so a finding reopens as soon as its acceptance expires.
+// Callers scope the list with tenantId or with a sessionId already checked against the tenant.
+export const listFindings = async (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  Object.entries(FILTER_COLUMNS).forEach(([filter, column]) => {
+    if (filters[filter]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[filter]);
+    }
+  });
+
+  if (filters.status === 'open') {
+    conditions.push('s.id IS NULL');
+  } else if (filters.status === 'suppressed') {
+    conditions.push('s.id IS NOT NULL');
+  }
+
+  const rows = await db.all(`
+    SELECT f.*, s.id AS suppression_id, s.reason AS suppression_reason, s.justification AS suppression_justification,
+           s.owner AS suppression_owner, s.expires_at AS suppression_expires_at
+    FROM findings f
+    LEFT JOIN suppressions s ON s.finding_id = f.finding_id AND s.tenant_id = f.tenant_id
+      AND s.revoked_at IS NULL AND datetime(s.expires_at) > datetime('now')
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY CASE f.severity
+      WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 WHEN 'low' THEN 3 ELSE 4
+    END, f.pillar, f.title, f.resource
+  `, params);
+
+  return rows.map(toFinding);
+};
+
+const toFinding = (row) => ({
+  id: row.finding_id,
+  sessionId: row.session_id,
+  source: row.source,
+  type: row.type,
+  title: row.title,
+  description: row.description,
+  resource: row.resource,
+  region: row.region,
+  accountId: row.account_id,
+  pillar: row.pillar,
+  questionKey: row.question_key,
+  severity: row.severity,
+  evidence: JSON.parse(row.evidence || '{}'),
+  remediation: row.remediation,
+  status: row.suppression_id ? 'suppressed' : 'open',
+  suppression: row.suppression_id ? {
+    suppressionId: row.suppression_id,
+    reason: row.suppression_reason,
+    justification: row.suppression_justification,
+    owner: row.suppression_owner,
+    expiresAt: row.suppression_expires_at
+  } : null,
+  createdAt: row.created_at
+});
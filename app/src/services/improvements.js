@@ -0,0 +1,374 @@
+import db from '../database/init.js';
+import { listFindings } from './findings.js';
+
+export const IMPROVEMENT_STATUSES = ['open', 'in_progress', 'done', 'wont_fix'];
+export const IMPROVEMENT_PRIORITIES = ['high', 'medium', 'low'];
+
+const UNFINISHED_STATUSES = ['open', 'in_progress'];
+
+// Action plan horizons of the final report and the priority their items get
+const HORIZON_PRIORITIES = {
+  immediate: 'high',
+  shortTerm: 'medium',
+  longTerm: 'low'
+};
+
+// Raised for item input that cannot be stored, so routes can answer 400
+export class InvalidImprovementError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImprovementError';
+  }
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+const normalizePriority = (priority) => {
+  const value = String(priority || '').toLowerCase();
+  return IMPROVEMENT_PRIORITIES.includes(value) ? value : null;
+};
+
+// Due dates are calendar days (YYYY-MM-DD). Date rolls days past the end of a month over into the
+// next one, so a day that does not exist comes back as a different date.
+const isCalendarDay = (value) => {
+  const date = new Date(value);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const normalizeDueDate = (dueDate) => {
+  if (dueDate === null) {
+    return null;
+  }
+  if (typeof dueDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || !isCalendarDay(dueDate)) {
+    throw new InvalidImprovementError('dueDate must be a date in YYYY-MM-DD format');
+  }
+  return dueDate;
+};
+
+// Checks the fields present in input; on create, title is required
+const validateItem = (input, { create }) => {
+  const fields = {};
+
+  if (create || input.title !== undefined) {
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      throw new InvalidImprovementError('title is required');
+    }
+    fields.title = input.title.trim();
+  }
+
+  ['description', 'owner', 'pillar'].forEach(field => {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        throw new InvalidImprovementError(`${field} must be a string`);
+      }
+      fields[field] = input[field]?.trim() || null;
+    }
+  });
+
+  if (input.priority !== undefined) {
+    fields.priority = input.priority === null ? null : normalizePriority(input.priority);
+    if (input.priority !== null && !fields.priority) {
+      throw new InvalidImprovementError(`priority must be one of: ${IMPROVEMENT_PRIORITIES.join(', ')}`);
+    }
+  }
+
+  if (input.dueDate !== undefined) {
+    fields.due_date = normalizeDueDate(input.dueDate);
+  }
+
+  if (input.status !== undefined) {
+    if (!IMPROVEMENT_STATUSES.includes(input.status)) {
+      throw new InvalidImprovementError(`status must be one of: ${IMPROVEMENT_STATUSES.join(', ')}`);
+    }
+    fields.status = input.status;
+  }
+
+  [['findingIds', 'finding_ids'], ['questionKeys', 'question_keys']].forEach(([field, column]) => {
+    if (input[field] !== undefined) {
+      if (!isStringArray(input[field])) {
+        throw new InvalidImprovementError(`${field} must be an array of strings`);
+      }
+      fields[column] = JSON.stringify([...new Set(input[field])]);
+    }
+  });
+
+  return fields;
+};
+
+// Items added by hand to a tenant; a sessionId scopes them to that review's account and workload
+export const createImprovementItem = async (input, tenantId) => {
+  const fields = validateItem(input, { create: true });
+
+  let scope = { session_id: null, workload_id: input.workloadId || null, account_id: input.accountId || null };
+  if (input.sessionId) {
+    const session = await db.get(
+      'SELECT id, workload_id, account_id FROM analysis_sessions WHERE id = ? AND tenant_id = ?',
+      [input.sessionId, tenantId]
+    );
+    if (!session) {
+      throw new InvalidImprovementError(`Session ${input.sessionId} not found`);
+    }
+    scope = { session_id: session.id, workload_id: session.workload_id, account_id: session.account_id };
+  }
+  if (scope.workload_id && !await db.get('SELECT id FROM workloads WHERE id = ? AND tenant_id = ?', [scope.workload_id, tenantId])) {
+    throw new InvalidImprovementError(`Workload ${scope.workload_id} not found`);
+  }
+
+  const status = fields.status || 'open';
+  const { id } = await db.run(
+    `INSERT INTO improvement_items (tenant_id, session_id, workload_id, account_id, title, description, pillar, priority, owner,
+                                    due_date, status, finding_ids, question_keys, source, closed_at, closed_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'manual', ?, ?)`,
+    [
+      tenantId, scope.session_id, scope.workload_id, scope.account_id, fields.title, fields.description ?? null,
+      fields.pillar ?? null, fields.priority ?? null, fields.owner ?? null, fields.due_date ?? null, status,
+      fields.finding_ids ?? '[]', fields.question_keys ?? '[]',
+      UNFINISHED_STATUSES.includes(status) ? null : new Date().toISOString(),
+      UNFINISHED_STATUSES.includes(status) ? null : 'manual'
+    ]
+  );
+
+  return getImprovementItem(id, tenantId);
+};
+
+const FILTER_COLUMNS = {
+  tenantId: 'tenant_id',
+  sessionId: 'session_id',
+  workloadId: 'workload_id',
+  accountId: 'account_id',
+  status: 'status',
+  owner: 'owner',
+  pillar: 'pillar',
+  priority: 'priority'
+};
+
+// Callers scope the list with tenantId or with a sessionId already checked against the tenant
+export const listImprovementItems = async (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  Object.entries(FILTER_COLUMNS).forEach(([filter, column]) => {
+    if (filters[filter]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[filter]);
+    }
+  });
+
+  const rows = await db.all(`
+    SELECT * FROM improvement_items
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY CASE status WHEN 'in_progress' THEN 0 WHEN 'open' THEN 1 ELSE 2 END,
+             CASE priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 WHEN 'low' THEN 2 ELSE 3 END,
+             due_date IS NULL, due_date, id
+  `, params);
+
+  return rows.map(toItem);
+};
+
+export const getImprovementItem = async (itemId, tenantId) => {
+  const row = await db.get('SELECT * FROM improvement_items WHERE id = ? AND tenant_id = ?', [itemId, tenantId]);
+  return row ? toItem(row) : null;
+};
+
+// Returns null when the tenant has no such item. Finishing an item records when; reopening it clears that.
+export const updateImprovementItem = async (itemId, changes, tenantId) => {
+  const item = await getImprovementItem(itemId, tenantId);
+  if (!item) {
+    return null;
+  }
+
+  const fields = validateItem(changes, { create: false });
+  if (fields.status && fields.status !== item.status) {
+    const finished = !UNFINISHED_STATUSES.includes(fields.status);
+    fields.closed_at = finished ? new Date().toISOString() : null;
+    fields.closed_reason = finished ? 'manual' : null;
+    fields.resolved_in_session_id = null;
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length > 0) {
+    await db.run(
+      `UPDATE improvement_items SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), itemId]
+    );
+  }
+
+  return getImprovementItem(itemId, tenantId);
+};
+
+export const deleteImprovementItem = async (itemId, tenantId) => {
+  const result = await db.run('DELETE FROM improvement_items WHERE id = ? AND tenant_id = ?', [itemId, tenantId]);
+  return result.changes > 0;
+};
+
+// A recommendation is linked to the open findings of the rule it came from. Model-written
+// recommendations carry no rule id, so titles and remediation texts are matched as well.
+const linkFindings = (findings, { ruleId, title, description }) => findings.filter(finding =>
+  (ruleId && finding.type === ruleId) ||
+  (title && finding.title === title) ||
+  (description && finding.remediation === description));
+
+// Turns the pillar recommendations and action plan of a final report into improvement items.
+// A recommendation that is already tracked for the same account and workload, or was already taken
+// from this session, is not added again.
+export const createItemsFromReport = async (sessionId, report) => {
+  const session = await db.get(
+    `SELECT s.id, s.tenant_id, s.workload_id, s.account_id, w.owner AS workload_owner
+     FROM analysis_sessions s
+     LEFT JOIN workloads w ON s.workload_id = w.id
+     WHERE s.id = ?`,
+    [sessionId]
+  );
+  const findings = await listFindings({ sessionId, status: 'open' });
+
+  const candidates = [];
+  Object.entries(report.pillars || {}).forEach(([pillar, pillarReport]) => {
+    (pillarReport?.recommendations || []).forEach(recommendation => {
+      if (!recommendation?.title) return;
+      const linked = linkFindings(findings, recommendation);
+      candidates.push({
+        title: recommendation.title,
+        description: recommendation.description || null,
+        pillar,
+        priority: normalizePriority(recommendation.priority),
+        horizon: null,
+        findingIds: linked.map(finding => finding.id),
+        questionKeys: [recommendation.questionKey, ...linked.map(finding => finding.questionKey)]
+      });
+    });
+  });
+
+  Object.entries(HORIZON_PRIORITIES).forEach(([horizon, priority]) => {
+    (report.actionPlan?.[horizon] || []).forEach(action => {
+      if (typeof action !== 'string' || !action.trim()) return;
+      // The rule-based report repeats each recommendation's remediation in the action plan
+      if (candidates.some(candidate => candidate.description === action || candidate.title === action)) return;
+
+      const linked = linkFindings(findings, { title: action, description: action });
+      candidates.push({
+        title: action,
+        description: null,
+        pillar: linked[0]?.pillar || null,
+        priority,
+        horizon,
+        findingIds: linked.map(finding => finding.id),
+        questionKeys: linked.map(finding => finding.questionKey)
+      });
+    });
+  });
+
+  let created = 0;
+  for (const candidate of candidates) {
+    const existing = await db.get(`
+      SELECT id FROM improvement_items
+      WHERE title = ? AND tenant_id = ? AND (session_id = ? OR (
+        status IN ('open', 'in_progress') AND account_id IS ? AND workload_id IS ?
+      ))
+    `, [candidate.title, session.tenant_id, sessionId, session.account_id, session.workload_id]);
+    if (existing) continue;
+
+    await db.run(
+      `INSERT INTO improvement_items (tenant_id, session_id, workload_id, account_id, title, description, pillar, priority,
+                                      horizon, owner, finding_ids, question_keys, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'report')`,
+      [
+        session.tenant_id, sessionId, session.workload_id, session.account_id, candidate.title, candidate.description, candidate.pillar,
+        candidate.priority, candidate.horizon, session.workload_owner || null,
+        JSON.stringify([...new Set(candidate.findingIds)]),
+        JSON.stringify([...new Set(candidate.questionKeys.filter(Boolean))])
+      ]
+    );
+    created++;
+  }
+
+  if (created > 0) {
+    console.log(`📌 ${created} improvement items created from the report of session ${sessionId}`);
+  }
+  return created;
+};
+
+// A finding can only have disappeared if the new review evaluated its rule in its region
+const wasChecked = (finding, awsData) => {
+  const rule = awsData.summary?.ruleEvaluation?.rules?.find(candidate => candidate.id === finding.type);
+  if (!rule || rule.status === 'not_evaluated') {
+    return false;
+  }
+  if (!finding.region || finding.region === 'global') {
+    return true;
+  }
+
+  const regionFailed = (awsData.serviceStatus?.warnings || [])
+    .some(warning => warning.service === finding.source && warning.region === finding.region);
+  return Array.isArray(awsData.regions) && awsData.regions.includes(finding.region) && !regionFailed;
+};
+
+// Closes unfinished items of the session's account once none of their linked findings shows up in the
+// session anymore. Items without linked findings are left to their owners.
+export const closeResolvedItems = async (sessionId, awsData) => {
+  const session = await db.get('SELECT id, tenant_id, account_id FROM analysis_sessions WHERE id = ?', [sessionId]);
+  if (!session?.account_id) {
+    return 0;
+  }
+
+  const items = await db.all(`
+    SELECT id, finding_ids FROM improvement_items
+    WHERE tenant_id = ? AND account_id = ? AND status IN ('open', 'in_progress') AND (session_id IS NULL OR session_id != ?)
+  `, [session.tenant_id, session.account_id, sessionId]);
+
+  const current = new Set((await db.all('SELECT finding_id FROM findings WHERE session_id = ?', [sessionId]))
+    .map(row => row.finding_id));
+
+  let closed = 0;
+  for (const item of items) {
+    const findingIds = JSON.parse(item.finding_ids || '[]');
+    if (findingIds.length === 0 || findingIds.some(findingId => current.has(findingId))) continue;
+
+    // Linked findings are looked up in earlier reviews to know which rules and regions they came from
+    const previous = await db.all(
+      `SELECT finding_id, type, source, region FROM findings
+       WHERE tenant_id = ? AND finding_id IN (${findingIds.map(() => '?').join(', ')})
+       GROUP BY finding_id`,
+      [session.tenant_id, ...findingIds]
+    );
+    const resolved = previous.length === findingIds.length &&
+      previous.every(finding => wasChecked(finding, awsData));
+    if (!resolved) continue;
+
+    await db.run(
+      `UPDATE improvement_items
+       SET status = 'done', closed_at = ?, closed_reason = 'findings_resolved', resolved_in_session_id = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [new Date().toISOString(), sessionId, item.id]
+    );
+    closed++;
+  }
+
+  if (closed > 0) {
+    console.log(`✅ ${closed} improvement items closed because their findings are gone`);
+  }
+  return closed;
+};
+
+const toItem = (row) => ({
+  itemId: row.id,
+  title: row.title,
+  description: row.description,
+  pillar: row.pillar,
+  priority: row.priority,
+  horizon: row.horizon,
+  owner: row.owner,
+  dueDate: row.due_date,
+  status: row.status,
+  findingIds: JSON.parse(row.finding_ids || '[]'),
+  questionKeys: JSON.parse(row.question_keys || '[]'),
+  source: row.source,
+  sessionId: row.session_id,
+  workloadId: row.workload_id,
+  accountId: row.account_id,
+  closedAt: row.closed_at,
+  closedReason: row.closed_reason,
+  resolvedInSessionId: row.resolved_in_session_id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
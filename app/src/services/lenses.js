@@ -0,0 +1,163 @@
+import db, { storeLens } from '../database/init.js';
+import { normalizeCatalog, DEFAULT_LENS_ALIAS } from '../catalog/index.js';
+
+// Raised for lens definitions or lens selections that cannot be used, so routes can answer 400
+export class InvalidLensError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidLensError';
+  }
+}
+
+// Raised when a lens version already exists, so routes can answer 409
+export class LensConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LensConflictError';
+  }
+}
+
+export class UnknownLensError extends InvalidLensError {
+  constructor(aliases) {
+    super(`Unknown lenses: ${aliases.join(', ')}`);
+    this.name = 'UnknownLensError';
+  }
+}
+
+const LENS_ALIAS_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+// The latest version of a lens is the one imported last
+export const findLens = async (alias, version = null) => {
+  const row = version ?
+    await db.get('SELECT * FROM lenses WHERE alias = ? AND version = ?', [alias, version]) :
+    await db.get('SELECT * FROM lenses WHERE alias = ? ORDER BY id DESC LIMIT 1', [alias]);
+  return row ? toLens(row) : null;
+};
+
+// The stored definition is the normalized lens, so it includes the generated "None of these" choices
+export const getLensDefinition = async (lensId) => {
+  const row = await db.get('SELECT definition FROM lenses WHERE id = ?', [lensId]);
+  return row ? JSON.parse(row.definition) : null;
+};
+
+export const listLenses = async () => {
+  const rows = await db.all(`
+    SELECT l.*, (SELECT COUNT(*) FROM questions q WHERE q.lens_id = l.id) AS question_count
+    FROM lenses l
+    ORDER BY l.builtin DESC, l.alias, l.id DESC
+  `);
+
+  // Only the latest version of each alias is offered for new reviews
+  const latest = new Map();
+  rows.forEach(row => {
+    if (!latest.has(row.alias)) latest.set(row.alias, row.id);
+  });
+
+  return rows.map(row => ({ ...toLens(row), questionCount: row.question_count, latest: latest.get(row.alias) === row.id }));
+};
+
+// Validates a lens in the Well-Architected Tool custom lens format and stores it as a new version.
+// Versions are immutable: reviews that used one keep their questions even after a newer import.
+export const importLens = async (definition, { alias, version }) => {
+  if (!alias || !LENS_ALIAS_PATTERN.test(alias)) {
+    throw new InvalidLensError('alias must be 2-63 lowercase letters, digits or dashes');
+  }
+  if (alias === DEFAULT_LENS_ALIAS) {
+    throw new InvalidLensError(`${DEFAULT_LENS_ALIAS} is the built-in lens and cannot be imported`);
+  }
+
+  let lens;
+  try {
+    lens = normalizeCatalog(definition);
+  } catch (error) {
+    throw new InvalidLensError(error.message);
+  }
+
+  const lensVersion = String(version || lens.version || '').trim();
+  if (!lensVersion) {
+    throw new InvalidLensError('A lens needs a version');
+  }
+
+  if (await findLens(alias, lensVersion)) {
+    throw new LensConflictError(`Lens ${alias} version ${lensVersion} already exists`);
+  }
+
+  const lensId = await storeLens({ ...lens, version: lensVersion }, { alias, version: lensVersion });
+  console.log(`📚 Lens ${alias} imported (version ${lensVersion})`);
+
+  return toLens(await db.get('SELECT * FROM lenses WHERE id = ?', [lensId]));
+};
+
+// Resolves aliases to their latest versions. Answers are addressed by question key, so the lenses
+// of one review may not share question keys.
+export const resolveReviewLenses = async (aliases = [DEFAULT_LENS_ALIAS]) => {
+  const uniqueAliases = [...new Set(aliases)];
+  const lenses = await Promise.all(uniqueAliases.map(alias => findLens(alias)));
+
+  const unknown = uniqueAliases.filter((alias, index) => !lenses[index]);
+  if (unknown.length > 0) {
+    throw new UnknownLensError(unknown);
+  }
+
+  const shared = await db.all(`
+    SELECT question_key FROM questions
+    WHERE lens_id IN (${lenses.map(() => '?').join(', ')})
+    GROUP BY question_key
+    HAVING COUNT(*) > 1
+  `, lenses.map(lens => lens.id));
+  if (shared.length > 0) {
+    throw new InvalidLensError(`Lenses ${uniqueAliases.join(', ')} share question keys: ${shared.map(row => row.question_key).join(', ')}`);
+  }
+
+  return lenses;
+};
+
+export const setSessionLenses = async (sessionId, lenses) => {
+  for (const lens of lenses) {
+    await db.run('INSERT OR IGNORE INTO session_lenses (session_id, lens_id) VALUES (?, ?)', [sessionId, lens.id]);
+  }
+};
+
+// Sessions that never picked lenses (such as code analyses) use the latest built-in lens
+export const getSessionLensIds = async (sessionId) => {
+  const rows = await db.all('SELECT lens_id FROM session_lenses WHERE session_id = ? ORDER BY lens_id', [sessionId]);
+  if (rows.length > 0) {
+    return rows.map(row => row.lens_id);
+  }
+
+  const lens = await findLens(DEFAULT_LENS_ALIAS);
+  return lens ? [lens.id] : [];
+};
+
+export const getSessionLenses = async (sessionId) => {
+  const lensIds = await getSessionLensIds(sessionId);
+  const rows = await db.all(
+    `SELECT * FROM lenses WHERE id IN (${lensIds.map(() => '?').join(', ') || 'NULL'}) ORDER BY builtin DESC, alias`,
+    lensIds
+  );
+  return rows.map(toLens);
+};
+
+// SQL condition limiting q (questions) to the given lenses, with its parameters
+export const lensCondition = (lensIds) => ({
+  sql: `q.lens_id IN (${lensIds.map(() => '?').join(', ') || 'NULL'})`,
+  params: lensIds
+});
+
+export const findSessionQuestion = async (sessionId, questionKey) => {
+  const condition = lensCondition(await getSessionLensIds(sessionId));
+  return db.get(
+    `SELECT q.* FROM questions q WHERE q.question_key = ? AND ${condition.sql}`,
+    [questionKey, ...condition.params]
+  );
+};
+
+const toLens = (row) => ({
+  id: row.id,
+  alias: row.alias,
+  version: row.version,
+  name: row.name,
+  description: row.description,
+  builtin: row.builtin === 1,
+  createdAt: row.created_at
+});
@@ -0,0 +1,93 @@
+import { EventEmitter } from 'events';
+import db from '../database/init.js';
+
+// Progress events of running reviews and analyses, kept in memory per session. Events are numbered
+// across the process so a reconnecting client can resume after the last id it saw.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const HISTORY_LIMIT = 500;
+const HISTORY_SESSIONS_LIMIT = 100;
+const HISTORY_TTL_MS = 15 * 60 * 1000;
+
+// Sessions in the order of their last event, so the first one is the least recently active
+const history = new Map();
+const expiryTimers = new Map();
+let lastEventId = 0;
+
+const dropHistory = (sessionId) => {
+  clearTimeout(expiryTimers.get(sessionId));
+  expiryTimers.delete(sessionId);
+  history.delete(sessionId);
+};
+
+// type is step, collector, bedrock, complete, failed or cancelled. final marks the last event of a session,
+// after which streams are closed. A session's history is dropped HISTORY_TTL_MS after its last event,
+// final or not, since a review whose job dies or runs in another process never publishes one here.
+export const publishProgress = (sessionId, type, data = {}) => {
+  const event = {
+    id: ++lastEventId,
+    type,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  const events = history.get(sessionId) || [];
+  events.push(event);
+  if (events.length > HISTORY_LIMIT) {
+    events.shift();
+  }
+  history.delete(sessionId);
+  history.set(sessionId, events);
+  if (history.size > HISTORY_SESSIONS_LIMIT) {
+    dropHistory(history.keys().next().value);
+  }
+
+  clearTimeout(expiryTimers.get(sessionId));
+  expiryTimers.set(sessionId, setTimeout(() => dropHistory(sessionId), HISTORY_TTL_MS).unref());
+
+  emitter.emit(sessionId, event);
+  return event;
+};
+
+// The onProgress callback handed to services that do not know which session they work for
+export const progressReporter = (sessionId) => (type, data) => publishProgress(sessionId, type, data);
+
+// Returns the unsubscribe function
+export const subscribeProgress = (sessionId, listener) => {
+  emitter.on(sessionId, listener);
+  return () => emitter.off(sessionId, listener);
+};
+
+export const getProgressHistory = (sessionId, afterId = 0) =>
+  (history.get(sessionId) || []).filter(event => event.id > afterId);
+
+// Stores the current step in progress_data for polling clients and publishes it as a step event.
+// steps lists the { id, name } of the workflow; those up to step are marked completed.
+export const recordProgressStep = async (sessionId, steps, step, message, percentage = null) => {
+  try {
+    const progressData = {
+      currentStep: step,
+      message: message,
+      percentage: percentage,
+      timestamp: new Date().toISOString(),
+      steps: steps.map((definition, index) => ({ ...definition, completed: step >= index + 1 }))
+    };
+
+    await db.run(
+      'UPDATE analysis_sessions SET progress_data = ? WHERE id = ?',
+      [JSON.stringify(progressData), sessionId]
+    );
+    publishProgress(sessionId, 'step', {
+      step,
+      stepId: steps[step - 1]?.id || null,
+      message,
+      percentage
+    });
+
+    console.log(`Progress Update [${sessionId}]: Step ${step} - ${message}`);
+  } catch (error) {
+    console.error('Failed to update progress:', error);
+  }
+};
@@ -0,0 +1,406 @@
+import PDFDocument from 'pdfkit';
+import { PILLARS } from './rule-engine.js';
+import { listSessionQuestionRisks } from './answers.js';
+
+// Rendered report formats; JSON stays the default response of the report route
+export const REPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low', 'informational'];
+
+const HORIZONS = {
+  immediate: 'Immediate',
+  shortTerm: 'Short term',
+  longTerm: 'Long term'
+};
+
+const ANSWER_SOURCES = {
+  user: 'Reviewer',
+  agent: 'Agent',
+  agent_derived: 'Agent (derived)',
+  imported: 'Imported'
+};
+
+const pillarName = (pillar) => PILLARS[pillar] || pillar || '-';
+const formatScore = (score) => typeof score === 'number' ? `${score.toFixed(1)} / 5` : '-';
+const formatConfidence = (confidence) => typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '-';
+const formatSource = (source) => ANSWER_SOURCES[source] ? `${ANSWER_SOURCES[source]} (${source})` : source || '-';
+
+// The report as a list of blocks (headings, paragraphs, facts, lists, tables and code) that every format
+// renders the same way: executive summary, pillar scores, question risks, answers, findings and action plan
+const buildDocument = (finalReport, questionRisks) => {
+  const { sessionId, accountId, workloadId, createdBy, lenses, report, answers, risks, findings, improvements } = finalReport;
+  const openFindings = findings.filter(finding => finding.status === 'open');
+  const suppressedFindings = findings.filter(finding => finding.status === 'suppressed');
+  const answersByQuestion = new Map(answers.map(answer => [`${answer.lens_alias}:${answer.question_key}`, answer]));
+  const blocks = [];
+
+  blocks.push({ type: 'heading', level: 1, text: 'AWS Well-Architected Review Report' });
+  blocks.push({
+    type: 'facts',
+    items: [
+      ['Session', sessionId],
+      ['Account', accountId || '-'],
+      ['Workload', workloadId || '-'],
+      ['Lenses', lenses.map(lens => `${lens.name} (${lens.version})`).join(', ') || '-'],
+      ['Started by', createdBy || '-'],
+      ['Exported', new Date().toISOString()]
+    ]
+  });
+
+  // Executive summary
+  const severityCounts = SEVERITY_ORDER
+    .map(severity => [severity, openFindings.filter(finding => finding.severity === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+
+  blocks.push({ type: 'heading', level: 2, text: 'Executive summary' });
+  blocks.push({
+    type: 'paragraph',
+    text: `Overall score ${formatScore(report.overallScore)} (${report.maturityLevel || 'Unknown'} maturity). ` +
+      `The review found ${risks.highRiskIssues} high-risk and ${risks.mediumRiskIssues} medium-risk issues ` +
+      `across ${questionRisks.length} questions, and ${openFindings.length} open findings` +
+      `${severityCounts.length > 0 ? ` (${severityCounts.join(', ')})` : ''}.` +
+      `${suppressedFindings.length > 0 ? ` ${suppressedFindings.length} findings are accepted risks.` : ''}`
+  });
+  if (report.estimatedCostImpact) {
+    blocks.push({
+      type: 'facts',
+      items: [
+        ['Estimated savings', report.estimatedCostImpact.savings || '-'],
+        ['Estimated investments', report.estimatedCostImpact.investments || '-'],
+        ['Net benefit', report.estimatedCostImpact.netBenefit || '-']
+      ]
+    });
+  }
+  if (report.criticalIssues?.length > 0) {
+    blocks.push({ type: 'heading', level: 3, text: 'Critical issues' });
+    blocks.push({ type: 'list', items: report.criticalIssues });
+  }
+  if (report.quickWins?.length > 0) {
+    blocks.push({ type: 'heading', level: 3, text: 'Quick wins' });
+    blocks.push({ type: 'list', items: report.quickWins });
+  }
+
+  // Pillar scores come from the report, risk counts from the answers of each lens
+  const pillarScore = (name) => Object.entries(report.pillars || {})
+    .find(([key]) => pillarName(key) === name)?.[1];
+
+  blocks.push({ type: 'heading', level: 2, text: 'Pillar scores' });
+  blocks.push({
+    type: 'table',
+    columns: ['Lens', 'Pillar', 'Score', 'Status', 'High risks', 'Medium risks', 'Questions'],
+    rows: risks.byPillar.map(entry => {
+      const scored = pillarScore(entry.pillar);
+      return [
+        entry.lens,
+        entry.pillar,
+        formatScore(scored?.score),
+        scored?.status || '-',
+        entry.risks.HIGH,
+        entry.risks.MEDIUM,
+        entry.questions
+      ];
+    })
+  });
+
+  // High and medium risk issues per question
+  const riskyQuestions = questionRisks.filter(question => question.risk === 'HIGH' || question.risk === 'MEDIUM');
+  blocks.push({ type: 'heading', level: 2, text: 'High and medium risk issues' });
+  if (riskyQuestions.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No question has a high or medium risk.' });
+  } else {
+    blocks.push({
+      type: 'table',
+      columns: ['Risk', 'Lens', 'Pillar', 'Question'],
+      rows: riskyQuestions
+        .sort((a, b) => (a.risk === b.risk ? 0 : a.risk === 'HIGH' ? -1 : 1))
+        .map(question => {
+          const answer = answersByQuestion.get(`${question.lens}:${question.questionKey}`);
+          return [
+            question.risk === 'HIGH' ? 'HRI' : 'MRI',
+            question.lens,
+            question.pillar,
+            `${question.questionKey}${answer?.question_text ? ` ${answer.question_text}` : ''}`
+          ];
+        })
+    });
+  }
+
+  // Answers with their source and confidence
+  blocks.push({ type: 'heading', level: 2, text: 'Answers' });
+  if (answers.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No question was answered.' });
+  }
+  answers.forEach(answer => {
+    blocks.push({ type: 'heading', level: 3, text: `${answer.question_key} ${answer.question_text}` });
+    blocks.push({
+      type: 'facts',
+      items: [
+        ['Pillar', answer.pillar_name],
+        ['Risk', answer.risk || '-'],
+        ['Source', formatSource(answer.source)],
+        ['Confidence', formatConfidence(answer.confidence_score)],
+        ['Answered by', answer.answered_by || '-']
+      ]
+    });
+    if (answer.selected_choices.length > 0) {
+      blocks.push({ type: 'list', items: answer.selected_choices.map(choice => choice.title || choice.key) });
+    }
+    if (answer.answer_text) {
+      blocks.push({ type: 'paragraph', text: answer.answer_text });
+    }
+    if (answer.notes) {
+      blocks.push({ type: 'paragraph', text: `Notes: ${answer.notes}` });
+    }
+  });
+
+  // Open findings, most severe first, with the evidence the collectors recorded
+  blocks.push({ type: 'heading', level: 2, text: 'Findings' });
+  if (openFindings.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No open findings.' });
+  }
+  [...openFindings]
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    .forEach(finding => {
+      blocks.push({ type: 'heading', level: 3, text: `[${finding.severity.toUpperCase()}] ${finding.title}` });
+      blocks.push({
+        type: 'facts',
+        items: [
+          ['Finding', finding.id],
+          ['Resource', finding.resource || '-'],
+          ['Region', finding.region || '-'],
+          ['Pillar', pillarName(finding.pillar)],
+          ['Question', finding.questionKey || '-'],
+          ['Collector', finding.source]
+        ]
+      });
+      if (finding.description) {
+        blocks.push({ type: 'paragraph', text: finding.description });
+      }
+      if (finding.remediation) {
+        blocks.push({ type: 'paragraph', text: `Remediation: ${finding.remediation}` });
+      }
+      if (Object.keys(finding.evidence).length > 0) {
+        blocks.push({ type: 'code', text: JSON.stringify(finding.evidence, null, 2) });
+      }
+    });
+
+  if (suppressedFindings.length > 0) {
+    blocks.push({ type: 'heading', level: 3, text: 'Accepted risks' });
+    blocks.push({
+      type: 'table',
+      columns: ['Severity', 'Finding', 'Reason', 'Owner', 'Expires'],
+      rows: suppressedFindings.map(finding => [
+        finding.severity,
+        finding.title,
+        `${finding.suppression.reason}: ${finding.suppression.justification}`,
+        finding.suppression.owner,
+        finding.suppression.expiresAt
+      ])
+    });
+  }
+
+  // Action plan: the tracked improvement items, or the plan of the report when none were created
+  blocks.push({ type: 'heading', level: 2, text: 'Action plan' });
+  const groups = [
+    ...Object.entries(HORIZONS).map(([horizon, label]) => [label, improvements.filter(item => item.horizon === horizon)]),
+    ['Pillar recommendations', improvements.filter(item => !HORIZONS[item.horizon])]
+  ];
+  if (improvements.length > 0) {
+    groups.filter(([, items]) => items.length > 0).forEach(([label, items]) => {
+      blocks.push({ type: 'heading', level: 3, text: label });
+      blocks.push({
+        type: 'table',
+        columns: ['Action', 'Pillar', 'Priority', 'Owner', 'Due', 'Status'],
+        rows: items.map(item => [
+          item.title,
+          pillarName(item.pillar),
+          item.priority,
+          item.owner || '-',
+          item.dueDate || '-',
+          item.status
+        ])
+      });
+    });
+  } else {
+    Object.entries(HORIZONS)
+      .filter(([horizon]) => report.actionPlan?.[horizon]?.length > 0)
+      .forEach(([horizon, label]) => {
+        blocks.push({ type: 'heading', level: 3, text: label });
+        blocks.push({ type: 'list', items: report.actionPlan[horizon] });
+      });
+  }
+
+  return blocks;
+};
+
+const cellText = (value) => value === null || value === undefined ? '-' : String(value);
+
+// Answers and notes are free text: markup in them is shown, not interpreted by the wiki
+const markdownText = (value) => cellText(value).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const markdownCell = (value) => markdownText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const MARKDOWN_BLOCKS = {
+  heading: (block) => `${'#'.repeat(block.level)} ${markdownText(block.text)}`,
+  paragraph: (block) => markdownText(block.text),
+  facts: (block) => block.items.map(([label, value]) => `- **${label}:** ${markdownText(value)}`).join('\n'),
+  list: (block) => block.items.map(item => `- ${markdownText(item).replace(/\r?\n/g, ' ')}`).join('\n'),
+  table: (block) => [
+    `| ${block.columns.join(' | ')} |`,
+    `| ${block.columns.map(() => '---').join(' | ')} |`,
+    ...block.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+  ].join('\n'),
+  code: (block) => `\`\`\`json\n${block.text}\n\`\`\``
+};
+
+const renderMarkdown = (blocks) => `${blocks.map(block => MARKDOWN_BLOCKS[block.type](block)).join('\n\n')}\n`;
+
+const escapeHtml = (value) => cellText(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #16191f; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+  h1 { border-bottom: 3px solid #ff9900; padding-bottom: .3rem; }
+  h2 { border-bottom: 1px solid #d5dbdb; padding-bottom: .2rem; margin-top: 2.2rem; }
+  table { border-collapse: collapse; width: 100%; margin: .8rem 0; font-size: .92rem; }
+  th, td { border: 1px solid #d5dbdb; padding: .35rem .5rem; text-align: left; vertical-align: top; }
+  th { background: #f2f3f3; }
+  dl.facts { display: grid; grid-template-columns: max-content 1fr; gap: .15rem 1rem; }
+  dl.facts dt { font-weight: 600; }
+  dl.facts dd { margin: 0; }
+  pre { background: #f7f7f7; border: 1px solid #e1e4e8; padding: .6rem; overflow-x: auto; font-size: .85rem; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+`;
+
+const HTML_BLOCKS = {
+  heading: (block) => `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`,
+  paragraph: (block) => `<p>${escapeHtml(block.text)}</p>`,
+  facts: (block) => `<dl class="facts">${block.items.map(([label, value]) =>
+    `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`,
+  list: (block) => `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`,
+  table: (block) => `<table><thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`,
+  code: (block) => `<pre><code>${escapeHtml(block.text)}</code></pre>`
+};
+
+const renderHtml = (blocks) => {
+  const body = blocks.map(block => HTML_BLOCKS[block.type](block)).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AWS Well-Architected Review Report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+// The standard PDF fonts only cover Latin-1 and a few typographic characters
+const pdfText = (value) => cellText(value)
+  .replace(/[‐-―]/g, '-')
+  .replace(/[^\t\n\r\x20-\x7E\xA0-\xFF‘’“”•…€]/g, '?');
+
+const PDF_HEADING_SIZES = { 1: 20, 2: 15, 3: 11.5 };
+
+const renderPdf = (blocks) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: 'AWS Well-Architected Review Report' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const text = (value, { font = 'Helvetica', size = 9.5, gap = 6 } = {}) => {
+    doc.x = doc.page.margins.left;
+    doc.font(font).fontSize(size).text(pdfText(value), { width });
+    doc.moveDown(gap / size);
+  };
+
+  const pdfBlocks = {
+    heading: (block) => {
+      // Sections start on a new page rather than at the foot of one
+      if (block.level === 2 && doc.y > doc.page.height - 150) {
+        doc.addPage();
+      }
+      doc.moveDown(block.level === 3 ? 0.3 : 0.6);
+      text(block.text, { font: 'Helvetica-Bold', size: PDF_HEADING_SIZES[block.level], gap: 4 });
+    },
+    paragraph: (block) => text(block.text),
+    facts: (block) => {
+      block.items.forEach(([label, value]) => {
+        doc.x = doc.page.margins.left;
+        doc.font('Helvetica-Bold').fontSize(9.5).text(`${pdfText(label)}: `, { width, continued: true });
+        doc.font('Helvetica').text(pdfText(value));
+      });
+      doc.moveDown(0.5);
+    },
+    list: (block) => {
+      block.items.forEach(item => text(`• ${item}`, { gap: 1 }));
+      doc.moveDown(0.4);
+    },
+    table: (block) => {
+      doc.x = doc.page.margins.left;
+      doc.font('Helvetica').fontSize(8.5);
+      // Columns share the width by the length of their longest value, so text columns get the most room
+      const data = [block.columns, ...block.rows].map(row => row.map(pdfText));
+      const weights = block.columns.map((column, index) =>
+        Math.min(40, Math.max(8, ...data.map(row => row[index].length))));
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+      doc.table({
+        maxWidth: width,
+        defaultStyle: { padding: 3, borderColor: '#b8c0c0' },
+        columnStyles: weights.map(weight => ({ width: width * weight / totalWeight })),
+        rowStyles: (row) => row === 0 ? { backgroundColor: '#eef0f0', font: { src: 'Helvetica-Bold' } } : {},
+        data
+      });
+      doc.moveDown(0.6);
+    },
+    code: (block) => text(block.text, { font: 'Courier', size: 7.5 })
+  };
+
+  blocks.forEach(block => pdfBlocks[block.type](block));
+
+  // Page numbers once the page count is known
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page++) {
+    doc.switchToPage(page);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#687078')
+      .text(`Page ${page + 1} of ${count}`, doc.page.margins.left, doc.page.height - 30, { width, align: 'right' });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.end();
+});
+
+const RENDERERS = {
+  markdown: async (blocks) => renderMarkdown(blocks),
+  html: async (blocks) => renderHtml(blocks),
+  pdf: renderPdf
+};
+
+// Renders a final report (as returned by getFinalReport) in one of REPORT_FORMATS.
+// Returns the body with its content type and a file name for the download.
+export const renderReport = async (finalReport, format) => {
+  const questionRisks = await listSessionQuestionRisks(finalReport.sessionId);
+  const body = await RENDERERS[format](buildDocument(finalReport, questionRisks));
+
+  return {
+    contentType: REPORT_FORMATS[format].contentType,
+    fileName: `well-architected-report-${finalReport.sessionId}.${REPORT_FORMATS[format].extension}`,
+    body
+  };
+};
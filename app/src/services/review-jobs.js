@@ -0,0 +1,192 @@
+import { EventEmitter } from 'events';
+import db from '../database/init.js';
+import { publishProgress } from './progress.js';
+
+// Steps a review job checkpoints, in order
+export const JOB_STEPS = ['aws_collection', 'ai_analysis', 'storing_answers'];
+
+// A running job whose worker has not refreshed its heartbeat for this long is taken over
+export const STALE_JOB_MS = 60 * 1000;
+
+// Jobs interrupted this many times are failed instead of resumed again
+const MAX_ATTEMPTS = 3;
+
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Raised inside a running job once its cancellation was requested
+export class JobCancelledError extends Error {
+  constructor(sessionId) {
+    super(`Review ${sessionId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Raised when cancelling a job that already finished, so routes can answer 409
+export class ReviewJobConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewJobConflictError';
+  }
+}
+
+const queueEvents = new EventEmitter();
+
+// Lets workers in this process pick up a new job without waiting for their next poll
+export const onJobQueued = (listener) => {
+  queueEvents.on('queued', listener);
+  return () => queueEvents.off('queued', listener);
+};
+
+// options holds what a worker needs to run the review: regions, crossAccount, accountId, roleName, externalId
+export const enqueueReviewJob = async (sessionId, options = {}) => {
+  await db.run(
+    `INSERT INTO review_jobs (session_id, tenant_id, options)
+     SELECT id, tenant_id, ? FROM analysis_sessions WHERE id = ?`,
+    [JSON.stringify(options), sessionId]
+  );
+  queueEvents.emit('queued');
+  return getReviewJob(sessionId);
+};
+
+export const getReviewJob = async (sessionId) => {
+  const row = await db.get('SELECT * FROM review_jobs WHERE session_id = ?', [sessionId]);
+  return row ? toJob(row) : null;
+};
+
+export const listReviewJobs = async ({ tenantId, status } = {}) => {
+  const rows = await db.all(`
+    SELECT * FROM review_jobs
+    WHERE tenant_id = ? ${status ? 'AND status = ?' : ''}
+    ORDER BY id DESC
+    LIMIT 200
+  `, status ? [tenantId, status] : [tenantId]);
+  return rows.map(toJob);
+};
+
+// A queued job is cancelled at once; a running one stops at its next step boundary.
+// Returns null when the session has no job.
+export const cancelReviewJob = async (sessionId) => {
+  const job = await db.get('SELECT * FROM review_jobs WHERE session_id = ?', [sessionId]);
+  if (!job) {
+    return null;
+  }
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new ReviewJobConflictError(`Review ${sessionId} already ${job.status}`);
+  }
+
+  const { changes } = await db.run(
+    `UPDATE review_jobs SET status = 'cancelled', cancel_requested = 1, checkpoint = NULL,
+       finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'queued'`,
+    [job.id]
+  );
+
+  if (changes > 0) {
+    await markSessionFinished(sessionId, 'cancelled');
+    publishProgress(sessionId, 'cancelled', { final: true });
+  } else {
+    await db.run('UPDATE review_jobs SET cancel_requested = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [job.id]);
+  }
+
+  console.log(`🛑 Cancellation requested for review ${sessionId}`);
+  return getReviewJob(sessionId);
+};
+
+// Atomically moves the oldest queued job to running for workerId; returns null when the queue is empty
+export const claimNextJob = async (workerId) => db.get(`
+  UPDATE review_jobs
+  SET status = 'running', worker_id = ?, attempts = attempts + 1, heartbeat_at = CURRENT_TIMESTAMP,
+      started_at = COALESCE(started_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+  WHERE id = (SELECT id FROM review_jobs WHERE status = 'queued' ORDER BY id LIMIT 1) AND status = 'queued'
+  RETURNING *
+`, [workerId]);
+
+export const getCheckpoints = (job) => JSON.parse(job.checkpoint || '{}');
+
+export const saveCheckpoint = async (jobId, step, output) => {
+  const job = await db.get('SELECT checkpoint FROM review_jobs WHERE id = ?', [jobId]);
+  const checkpoint = { ...JSON.parse(job.checkpoint || '{}'), [step]: output ?? true };
+  await db.run(
+    'UPDATE review_jobs SET step = ?, checkpoint = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [step, JSON.stringify(checkpoint), jobId]
+  );
+};
+
+export const throwIfCancelled = async (jobId) => {
+  const job = await db.get('SELECT session_id, cancel_requested FROM review_jobs WHERE id = ?', [jobId]);
+  if (job?.cancel_requested) {
+    throw new JobCancelledError(job.session_id);
+  }
+};
+
+export const touchJobs = async (jobIds) => {
+  if (jobIds.length === 0) return;
+  await db.run(
+    `UPDATE review_jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id IN (${jobIds.map(() => '?').join(', ')})`,
+    jobIds
+  );
+};
+
+// Checkpoints are only needed to resume, so they are dropped once a job finishes
+export const finishJob = async (job, status, error = null) => {
+  await db.run(
+    `UPDATE review_jobs SET status = ?, error = ?, checkpoint = NULL, finished_at = CURRENT_TIMESTAMP,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, error, job.id]
+  );
+
+  if (status !== 'completed') {
+    await markSessionFinished(job.session_id, status);
+    publishProgress(job.session_id, status, { ...(error && { error }), final: true });
+  }
+};
+
+// Running jobs whose worker stopped (the process restarted or crashed) are queued again to resume
+// after their last checkpoint, or failed once they were interrupted MAX_ATTEMPTS times
+export const recoverStaleJobs = async () => {
+  const stale = await db.all(`
+    SELECT * FROM review_jobs
+    WHERE status = 'running' AND (heartbeat_at IS NULL OR datetime(heartbeat_at) <= datetime('now', ?))
+  `, [`-${Math.round(STALE_JOB_MS / 1000)} seconds`]);
+
+  for (const job of stale) {
+    if (job.cancel_requested) {
+      await finishJob(job, 'cancelled');
+    } else if (job.attempts >= MAX_ATTEMPTS) {
+      await finishJob(job, 'failed', `Review was interrupted ${job.attempts} times`);
+    } else {
+      await db.run(
+        `UPDATE review_jobs SET status = 'queued', worker_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'running'`,
+        [job.id]
+      );
+      console.log(`♻️ Review ${job.session_id} queued again to resume after ${job.step || 'the start'}`);
+    }
+  }
+
+  if (stale.length > 0) {
+    queueEvents.emit('queued');
+  }
+  return stale.length;
+};
+
+const markSessionFinished = (sessionId, status) => db.run(
+  'UPDATE analysis_sessions SET analysis_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+  [status, sessionId]
+);
+
+const toJob = (row) => ({
+  jobId: row.id,
+  sessionId: row.session_id,
+  status: row.status,
+  step: row.step,
+  completedSteps: row.step ? JOB_STEPS.slice(0, JOB_STEPS.indexOf(row.step) + 1) : [],
+  attempts: row.attempts,
+  cancelRequested: Boolean(row.cancel_requested),
+  error: row.error,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  updatedAt: row.updated_at
+});
@@ -0,0 +1,113 @@
+import { v4 as uuidv4 } from 'uuid';
+import { WellArchitectedReviewService } from './well-architected-review.js';
+import {
+  claimNextJob,
+  getCheckpoints,
+  saveCheckpoint,
+  throwIfCancelled,
+  touchJobs,
+  finishJob,
+  recoverStaleJobs,
+  onJobQueued,
+  JobCancelledError,
+  STALE_JOB_MS
+} from './review-jobs.js';
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_MS = STALE_JOB_MS / 4;
+
+// Runs queued review jobs, at most concurrency at a time. Several processes can share the database:
+// each claims jobs atomically and takes over the jobs of workers that stopped sending heartbeats.
+export class ReviewWorker {
+  constructor({ awsService, bedrockService, logger, concurrency = 2 }) {
+    this.awsService = awsService;
+    this.bedrockService = bedrockService;
+    this.logger = logger;
+    this.concurrency = Math.max(1, concurrency);
+    this.workerId = uuidv4();
+    this.running = new Map();
+    this.timers = [];
+    this.stopQueueListener = null;
+    this.polling = false;
+  }
+
+  async start() {
+    await recoverStaleJobs();
+
+    this.stopQueueListener = onJobQueued(() => this.poll());
+    this.timers.push(
+      setInterval(() => recoverStaleJobs().then(() => this.poll()).catch(error => this.logger.error('Review job recovery failed:', error)), POLL_INTERVAL_MS),
+      setInterval(() => touchJobs([...this.running.keys()]).catch(error => this.logger.error('Review job heartbeat failed:', error)), HEARTBEAT_MS)
+    );
+    this.timers.forEach(timer => timer.unref());
+
+    this.logger.info(`👷 Review worker started (${this.concurrency} concurrent reviews)`);
+    await this.poll();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.stopQueueListener?.();
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const job = await claimNextJob(this.workerId);
+        if (!job) break;
+
+        const run = this.run(job).catch(error => {
+          this.logger.error(`Failed to record the outcome of review ${job.session_id}:`, error);
+        }).finally(() => {
+          this.running.delete(job.id);
+          this.poll();
+        });
+        this.running.set(job.id, run);
+      }
+    } catch (error) {
+      this.logger.error('Failed to claim review job:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async run(job) {
+    const options = JSON.parse(job.options || '{}');
+    const checkpoints = getCheckpoints(job);
+    this.logger.info(`▶️ Running review ${job.session_id} (attempt ${job.attempts}${job.step ? `, resuming after ${job.step}` : ''})`);
+
+    try {
+      await throwIfCancelled(job.id);
+
+      const accountAwsService = options.crossAccount ?
+        await this.awsService.forAccount(options.accountId, {
+          roleName: options.roleName,
+          externalId: options.externalId,
+          sessionName: `well-architected-review-${job.session_id.slice(0, 8)}`
+        }) :
+        this.awsService;
+
+      const reviewService = new WellArchitectedReviewService(accountAwsService, this.bedrockService);
+      await reviewService.startReview(job.session_id, {
+        regions: options.regions,
+        checkpoints,
+        onCheckpoint: (step, output) => saveCheckpoint(job.id, step, output),
+        throwIfCancelled: () => throwIfCancelled(job.id)
+      });
+
+      await finishJob(job, 'completed');
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        this.logger.info(`🛑 Review ${job.session_id} cancelled`);
+        await finishJob(job, 'cancelled');
+      } else {
+        this.logger.error(`Review ${job.session_id} failed:`, error);
+        await finishJob(job, 'failed', error.message);
+      }
+    }
+  }
+}
@@ -0,0 +1,248 @@
+import { defaultRules } from './rules/index.js';
+import { createFinding } from './findings.js';
+
+export const PILLARS = {
+  operationalExcellence: 'Operational Excellence',
+  security: 'Security',
+  reliability: 'Reliability',
+  performanceEfficiency: 'Performance Efficiency',
+  costOptimization: 'Cost Optimization',
+  sustainability: 'Sustainability'
+};
+
+// Points deducted from a pillar's maximum score of 5 for each failed rule
+export const SEVERITY_WEIGHTS = {
+  critical: 1.5,
+  high: 1,
+  medium: 0.5,
+  low: 0.25
+};
+
+const MAX_SCORE = 5;
+const MIN_SCORE = 1;
+
+// Evaluates rules against the collected awsData and derives reproducible pillar scores.
+// A rule is { id, source, pillar, questionKey, severity, title, description, remediation, evaluate(awsData) };
+// evaluate returns the violating resources as { resource, region, evidence } ([] when the rule passes)
+// or null when its data was not collected. Each violation becomes a normalized finding.
+export class RuleEngine {
+  constructor(rules = defaultRules) {
+    this.rules = [];
+    rules.forEach(rule => this.register(rule));
+  }
+
+  register(rule) {
+    if (!rule.id || !rule.source || typeof rule.evaluate !== 'function') {
+      throw new Error('A rule needs an id, a source collector and an evaluate(awsData) function');
+    }
+    if (!PILLARS[rule.pillar]) {
+      throw new Error(`Rule ${rule.id} has unknown pillar ${rule.pillar}`);
+    }
+    if (!SEVERITY_WEIGHTS[rule.severity]) {
+      throw new Error(`Rule ${rule.id} has unknown severity ${rule.severity}`);
+    }
+    if (this.rules.some(existing => existing.id === rule.id)) {
+      throw new Error(`Rule ${rule.id} is already registered`);
+    }
+
+    this.rules.push(rule);
+    return this;
+  }
+
+  // sources limits evaluation to the rules of some collectors, e.g. ['iam'] when only IAM data was collected.
+  // suppressions maps finding ids to active suppressions; suppressed findings do not fail their rule.
+  evaluate(awsData, { accountId = awsData.accountId || null, sources, suppressions = new Map() } = {}) {
+    const rules = sources ? this.rules.filter(rule => sources.includes(rule.source)) : this.rules;
+    const results = rules.map(rule => {
+      let violations;
+      try {
+        violations = rule.evaluate(awsData);
+      } catch (error) {
+        console.warn(`⚠️ Rule ${rule.id} failed to evaluate:`, error.message);
+        violations = null;
+      }
+
+      const findings = (violations || []).map(violation => createFinding({
+        source: rule.source,
+        type: rule.id,
+        title: rule.title,
+        description: rule.description,
+        resource: violation.resource,
+        region: violation.region,
+        accountId,
+        pillar: rule.pillar,
+        questionKey: rule.questionKey,
+        severity: rule.severity,
+        evidence: violation.evidence,
+        remediation: rule.remediation
+      }));
+      const active = findings.filter(finding => !suppressions.has(finding.id));
+
+      return {
+        rule,
+        status: violations === null ? 'not_evaluated' : (active.length > 0 ? 'failed' : 'passed'),
+        violations: active,
+        suppressed: findings
+          .filter(finding => suppressions.has(finding.id))
+          .map(finding => ({ ...finding, suppression: summarizeSuppression(suppressions.get(finding.id)) }))
+      };
+    });
+
+    const findings = results.flatMap(result => result.violations);
+    const suppressedFindings = results.flatMap(result => result.suppressed);
+
+    const pillars = Object.fromEntries(Object.entries(PILLARS).map(([key, name]) => {
+      const pillarResults = results.filter(result => result.rule.pillar === key);
+      const evaluated = pillarResults.filter(result => result.status !== 'not_evaluated');
+      const failed = pillarResults.filter(result => result.status === 'failed');
+      const score = evaluated.length === 0 ? null : Math.max(
+        MIN_SCORE,
+        MAX_SCORE - failed.reduce((sum, result) => sum + SEVERITY_WEIGHTS[result.rule.severity], 0)
+      );
+
+      return [key, {
+        name,
+        score,
+        status: this.scoreStatus(score),
+        rulesEvaluated: evaluated.length,
+        rulesFailed: failed.length,
+        failedRules: failed.map(result => ({
+          id: result.rule.id,
+          title: result.rule.title,
+          severity: result.rule.severity,
+          questionKey: result.rule.questionKey,
+          remediation: result.rule.remediation,
+          resources: result.violations.length
+        }))
+      }];
+    }));
+
+    const scores = Object.values(pillars).map(pillar => pillar.score).filter(score => score !== null);
+    const overallScore = scores.length === 0
+      ? null
+      : Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10;
+
+    return {
+      overallScore,
+      maturityLevel: this.maturityLevel(overallScore),
+      pillars,
+      findings,
+      suppressedFindings,
+      rules: results.map(({ rule, status, violations, suppressed }) => ({
+        id: rule.id,
+        source: rule.source,
+        pillar: rule.pillar,
+        questionKey: rule.questionKey,
+        severity: rule.severity,
+        status,
+        violations: violations.length,
+        suppressed: suppressed.length
+      }))
+    };
+  }
+
+  scoreStatus(score) {
+    if (score === null) return 'Not Evaluated';
+    if (score >= 4) return 'Good';
+    if (score >= 3) return 'Needs Improvement';
+    return 'At Risk';
+  }
+
+  maturityLevel(score) {
+    if (score === null) return 'Unknown';
+    if (score >= 4.5) return 'Advanced';
+    if (score >= 3.5) return 'Intermediate';
+    if (score >= 2.5) return 'Developing';
+    return 'Initial';
+  }
+
+  // Forces the deterministic scores onto an LLM-written report so the narrative cannot change them
+  applyScores(report, evaluation) {
+    const pillars = { ...report.pillars };
+
+    Object.entries(evaluation.pillars).forEach(([key, pillar]) => {
+      pillars[key] = {
+        ...this.pillarReport(pillar),
+        ...pillars[key],
+        score: pillar.score,
+        status: pillar.status
+      };
+    });
+
+    return {
+      ...report,
+      overallScore: evaluation.overallScore,
+      maturityLevel: evaluation.maturityLevel,
+      pillars,
+      acceptedRisks: this.acceptedRisks(evaluation),
+      scoring: 'rules'
+    };
+  }
+
+  // Report built only from rule results, used when Bedrock is unavailable
+  buildReport(evaluation) {
+    const failedRules = Object.values(evaluation.pillars).flatMap(pillar => pillar.failedRules);
+    const remediationsFor = (...severities) => failedRules
+      .filter(rule => severities.includes(rule.severity))
+      .map(rule => rule.remediation);
+
+    return {
+      overallScore: evaluation.overallScore,
+      maturityLevel: evaluation.maturityLevel,
+      pillars: Object.fromEntries(
+        Object.entries(evaluation.pillars).map(([key, pillar]) => [key, this.pillarReport(pillar)])
+      ),
+      criticalIssues: failedRules
+        .filter(rule => rule.severity === 'critical' || rule.severity === 'high')
+        .map(rule => `${rule.title} (${rule.resources} resources)`),
+      quickWins: failedRules
+        .filter(rule => rule.severity === 'low')
+        .map(rule => rule.remediation),
+      actionPlan: {
+        immediate: remediationsFor('critical', 'high'),
+        shortTerm: remediationsFor('medium'),
+        longTerm: remediationsFor('low')
+      },
+      estimatedCostImpact: { savings: 'TBD', investments: 'TBD', netBenefit: 'TBD' },
+      acceptedRisks: this.acceptedRisks(evaluation),
+      scoring: 'rules',
+      narrative: 'unavailable'
+    };
+  }
+
+  acceptedRisks(evaluation) {
+    return (evaluation.suppressedFindings || []).map(finding => ({
+      findingId: finding.id,
+      title: finding.title,
+      resource: finding.resource,
+      region: finding.region,
+      pillar: finding.pillar,
+      severity: finding.severity,
+      ...finding.suppression
+    }));
+  }
+
+  pillarReport(pillar) {
+    return {
+      score: pillar.score,
+      status: pillar.status,
+      strengths: [],
+      weaknesses: pillar.failedRules.map(rule => rule.title),
+      recommendations: pillar.failedRules.map(rule => ({
+        title: rule.title,
+        description: rule.remediation,
+        priority: rule.severity === 'critical' || rule.severity === 'high' ? 'High' : (rule.severity === 'medium' ? 'Medium' : 'Low'),
+        questionKey: rule.questionKey,
+        ruleId: rule.id
+      }))
+    };
+  }
+}
+
+const summarizeSuppression = (suppression) => ({
+  suppressionId: suppression.id,
+  reason: suppression.reason,
+  justification: suppression.justification,
+  owner: suppression.owner,
+  expiresAt: suppression.expiresAt
+});
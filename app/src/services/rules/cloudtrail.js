@@ -0,0 +1,190 @@
+// CloudTrail rules evaluate the merged trails and the management events of the lookback window;
+// activity rules skip when event history could not be read
+
+const cloudTrail = (awsData) => awsData.cloudTrail || null;
+
+const events = (awsData, name) => cloudTrail(awsData)?.events?.[name] ?? null;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const trailRule = ({ matches, evidence, ...rule }) => ({
+  ...rule,
+  source: 'cloudTrail',
+  evaluate: (awsData) => cloudTrail(awsData)?.trails
+    ?.filter(matches)
+    .map(trail => ({
+      resource: trail.arn,
+      region: trail.homeRegion,
+      evidence: { trail: trail.name, ...evidence(trail) }
+    })) ?? null
+});
+
+const lastEventAt = (items) => items.map(event => event.eventTime).filter(Boolean).sort().pop() || null;
+
+export const cloudTrailRules = [
+  {
+    id: 'cloudtrail-no-multi-region-trail',
+    source: 'cloudTrail',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'high',
+    title: 'No logging multi-region CloudTrail trail',
+    description: 'No multi-region trail is logging, so API activity in some regions is only kept in the 90-day event history.',
+    remediation: 'Create a multi-region trail, preferably an organization trail, that delivers to a dedicated log archive bucket.',
+    evaluate: (awsData) => {
+      const data = cloudTrail(awsData);
+      if (!data?.trails) return null;
+
+      return data.trails.some(trail => trail.isMultiRegion && trail.isLogging !== false) ? [] : [{
+        resource: 'cloudtrail',
+        region: 'global',
+        evidence: {
+          trails: data.trails.map(trail => trail.name),
+          unloggedRegions: data.coverage.filter(coverage => !coverage.logged).map(coverage => coverage.region)
+        }
+      }];
+    }
+  },
+  trailRule({
+    id: 'cloudtrail-trail-not-logging',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'high',
+    title: 'CloudTrail trails that stopped logging',
+    description: 'The trail exists but logging is turned off.',
+    remediation: 'Start logging on the trail, and alert on StopLogging calls.',
+    matches: trail => trail.isLogging === false,
+    evidence: trail => ({ isLogging: false, latestDeliveryError: trail.latestDeliveryError })
+  }),
+  trailRule({
+    id: 'cloudtrail-log-file-validation-disabled',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'medium',
+    title: 'CloudTrail trails without log file validation',
+    description: 'Log files are delivered without digest files, so modified or deleted logs cannot be detected.',
+    remediation: 'Enable log file validation on the trail.',
+    matches: trail => !trail.logFileValidation,
+    evidence: () => ({ logFileValidation: false })
+  }),
+  trailRule({
+    id: 'cloudtrail-not-kms-encrypted',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'low',
+    title: 'CloudTrail trails not encrypted with KMS',
+    description: 'Log files only use S3 managed encryption, so reading them is not controlled by a key policy.',
+    remediation: 'Encrypt the trail with a customer managed KMS key that only log readers may decrypt with.',
+    matches: trail => !trail.kmsKeyId,
+    evidence: () => ({ kmsKeyId: null })
+  }),
+  trailRule({
+    id: 'cloudtrail-no-cloudwatch-logs',
+    pillar: 'operationalExcellence',
+    questionKey: 'OPS08',
+    severity: 'low',
+    title: 'CloudTrail trails not sent to CloudWatch Logs',
+    description: 'Events are not delivered to CloudWatch Logs, so metric filters and alarms cannot react to them.',
+    remediation: 'Deliver the trail to a CloudWatch Logs log group and add metric filters for security-relevant events.',
+    matches: trail => !trail.cloudWatchLogsLogGroupArn,
+    evidence: () => ({ cloudWatchLogs: false })
+  }),
+  {
+    id: 'root-account-activity',
+    source: 'cloudTrail',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'high',
+    title: 'Root user activity',
+    description: 'The root user made API calls or signed in during the lookback window.',
+    remediation: 'Confirm the activity was intended, use IAM Identity Center or roles for daily work, and alert on root user activity.',
+    evaluate: (awsData) => {
+      const activity = events(awsData, 'rootActivity');
+      if (!activity) return null;
+
+      return activity.length === 0 ? [] : [{
+        resource: 'root-account',
+        region: 'global',
+        evidence: {
+          events: activity.length,
+          eventNames: unique(activity.map(event => event.eventName)),
+          sourceIpAddresses: unique(activity.map(event => event.sourceIpAddress)),
+          lastEventAt: lastEventAt(activity)
+        }
+      }];
+    }
+  },
+  {
+    id: 'console-login-without-mfa',
+    source: 'cloudTrail',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'high',
+    title: 'Console sign-ins without MFA',
+    description: 'IAM users or the root user signed in to the console with a password only.',
+    remediation: 'Require MFA for every console user, or move them to IAM Identity Center.',
+    evaluate: (awsData) => {
+      const logins = events(awsData, 'consoleLoginsWithoutMfa');
+      if (!logins) return null;
+
+      return unique(logins.map(event => event.username)).map(username => {
+        const userLogins = logins.filter(event => event.username === username);
+        return {
+          resource: username,
+          region: 'global',
+          evidence: {
+            logins: userLogins.length,
+            userType: userLogins[0].userType,
+            sourceIpAddresses: unique(userLogins.map(event => event.sourceIpAddress)),
+            lastLoginAt: lastEventAt(userLogins)
+          }
+        };
+      });
+    }
+  },
+  {
+    id: 'security-group-opened-to-internet',
+    source: 'cloudTrail',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'medium',
+    title: 'Security group rules opened to the internet',
+    description: 'A recent change authorized traffic from 0.0.0.0/0 or ::/0.',
+    remediation: 'Confirm the change was approved, and manage security groups through infrastructure as code with review.',
+    evaluate: (awsData) => events(awsData, 'securityGroupChanges')
+      ?.filter(event => event.eventName.startsWith('Authorize') && event.opensToInternet && event.success)
+      .map(event => ({
+        resource: event.resources[0] || event.eventId,
+        region: event.region,
+        evidence: {
+          eventName: event.eventName,
+          eventTime: event.eventTime,
+          username: event.username,
+          sourceIpAddress: event.sourceIpAddress
+        }
+      })) ?? null
+  },
+  {
+    id: 'iam-administrator-access-granted',
+    source: 'cloudTrail',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'medium',
+    title: 'AdministratorAccess granted',
+    description: 'A recent change attached the AdministratorAccess managed policy to a user, group or role.',
+    remediation: 'Confirm the change was approved, and grant least-privilege permissions through reviewed infrastructure as code.',
+    evaluate: (awsData) => events(awsData, 'iamChanges')
+      ?.filter(event => event.eventName.startsWith('Attach') && event.grantsAdministratorAccess && event.success)
+      .map(event => ({
+        // Event resources name both the policy and the user, group or role it was attached to
+        resource: event.resources.find(name => !name.startsWith('arn:aws:iam::aws:policy/')) || event.eventId,
+        region: 'global',
+        evidence: {
+          eventName: event.eventName,
+          eventTime: event.eventTime,
+          username: event.username,
+          sourceIpAddress: event.sourceIpAddress
+        }
+      })) ?? null
+  }
+];
@@ -0,0 +1,88 @@
+// EC2 and EBS rules evaluate the merged multi-region compute inventory
+
+const compute = (awsData) => awsData.compute || null;
+
+export const computeRules = [
+  {
+    id: 'ebs-unencrypted-volumes',
+    source: 'compute',
+    pillar: 'security',
+    questionKey: 'SEC08',
+    severity: 'high',
+    title: 'Unencrypted EBS volumes',
+    description: 'EBS volumes are not encrypted at rest.',
+    remediation: 'Enable EBS encryption by default and migrate unencrypted volumes through encrypted snapshots.',
+    evaluate: (awsData) => compute(awsData)?.volumes
+      ?.filter(volume => !volume.encrypted)
+      .map(volume => ({
+        resource: volume.volumeId,
+        region: volume.region,
+        evidence: { encrypted: false, state: volume.state, size: volume.size }
+      })) ?? null
+  },
+  {
+    id: 'ebs-unattached-volumes',
+    source: 'compute',
+    pillar: 'costOptimization',
+    questionKey: 'COST04',
+    severity: 'medium',
+    title: 'Unattached EBS volumes',
+    description: 'EBS volumes are not attached to any instance but are still billed.',
+    remediation: 'Snapshot and delete unattached volumes that are no longer needed.',
+    evaluate: (awsData) => compute(awsData)?.volumes
+      ?.filter(volume => volume.state === 'available')
+      .map(volume => ({
+        resource: volume.volumeId,
+        region: volume.region,
+        evidence: { state: volume.state, size: volume.size, volumeType: volume.volumeType }
+      })) ?? null
+  },
+  {
+    id: 'ec2-stopped-instances',
+    source: 'compute',
+    pillar: 'costOptimization',
+    questionKey: 'COST04',
+    severity: 'low',
+    title: 'Stopped EC2 instances',
+    description: 'Stopped instances keep their EBS volumes and Elastic IPs billed.',
+    remediation: 'Terminate instances that are no longer needed, or schedule them with Instance Scheduler.',
+    evaluate: (awsData) => compute(awsData)?.instances
+      ?.filter(instance => instance.state === 'stopped')
+      .map(instance => ({
+        resource: instance.instanceId,
+        region: instance.region,
+        evidence: { state: instance.state, instanceType: instance.instanceType, launchTime: instance.launchTime }
+      })) ?? null
+  },
+  {
+    id: 'ec2-single-subnet',
+    source: 'compute',
+    pillar: 'reliability',
+    questionKey: 'REL10',
+    severity: 'medium',
+    title: 'Running instances confined to a single subnet',
+    description: 'All running instances in a region share one subnet, so a single Availability Zone failure takes them all down.',
+    remediation: 'Spread instances across subnets in multiple Availability Zones behind a load balancer or Auto Scaling group.',
+    evaluate: (awsData) => {
+      const instances = compute(awsData)?.instances;
+      if (!instances) return null;
+
+      const subnetsByRegion = {};
+      instances
+        .filter(instance => instance.state === 'running' && instance.subnetId)
+        .forEach(instance => {
+          subnetsByRegion[instance.region] = subnetsByRegion[instance.region] || { subnets: new Set(), instanceIds: [] };
+          subnetsByRegion[instance.region].subnets.add(instance.subnetId);
+          subnetsByRegion[instance.region].instanceIds.push(instance.instanceId);
+        });
+
+      return Object.entries(subnetsByRegion)
+        .filter(([, entry]) => entry.instanceIds.length > 1 && entry.subnets.size === 1)
+        .map(([region, entry]) => ({
+          resource: [...entry.subnets][0],
+          region,
+          evidence: { runningInstances: entry.instanceIds }
+        }));
+    }
+  }
+];
@@ -0,0 +1,24 @@
+// Cost Explorer rules
+
+export const costRules = [
+  {
+    id: 'cost-rightsizing-opportunities',
+    source: 'cost',
+    pillar: 'costOptimization',
+    questionKey: 'COST06',
+    severity: 'medium',
+    title: 'Rightsizing opportunities',
+    description: 'Cost Explorer recommends resizing or terminating over-provisioned instances.',
+    remediation: 'Apply the Cost Explorer rightsizing recommendations after validating peak utilization.',
+    evaluate: (awsData) => awsData.cost?.rightsizingRecommendations
+      ?.map(recommendation => ({
+        resource: recommendation.CurrentInstance?.ResourceId,
+        region: 'global',
+        evidence: {
+          rightsizingType: recommendation.RightsizingType,
+          monthlyCost: recommendation.CurrentInstance?.MonthlyCost,
+          reasons: recommendation.FindingReasonCodes || []
+        }
+      })) ?? null
+  }
+];
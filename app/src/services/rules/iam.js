@@ -0,0 +1,79 @@
+// IAM rules evaluate the credential report; they are skipped when the report could not be fetched
+
+const ROOT_USER = '<root_account>';
+
+const credentialReport = (awsData) => awsData.iam?.credentialReport || null;
+
+export const iamRules = [
+  {
+    id: 'iam-root-mfa-disabled',
+    source: 'iam',
+    pillar: 'security',
+    questionKey: 'SEC01',
+    severity: 'critical',
+    title: 'Root user without MFA',
+    description: 'The account root user can sign in without multi-factor authentication.',
+    remediation: 'Enable a hardware or virtual MFA device for the root user.',
+    evaluate: (awsData) => credentialReport(awsData)
+      ?.filter(user => user.user === ROOT_USER && user.mfa_active === 'false')
+      .map(user => ({ resource: user.arn || user.user, region: 'global', evidence: { mfaActive: false } })) ?? null
+  },
+  {
+    id: 'iam-root-access-keys',
+    source: 'iam',
+    pillar: 'security',
+    questionKey: 'SEC01',
+    severity: 'critical',
+    title: 'Root user has access keys',
+    description: 'The account root user has active access keys.',
+    remediation: 'Delete the root user access keys and use IAM roles for programmatic access.',
+    evaluate: (awsData) => credentialReport(awsData)
+      ?.filter(user => user.user === ROOT_USER && (user.access_key_1_active === 'true' || user.access_key_2_active === 'true'))
+      .map(user => ({
+        resource: user.arn || user.user,
+        region: 'global',
+        evidence: { accessKey1Active: user.access_key_1_active === 'true', accessKey2Active: user.access_key_2_active === 'true' }
+      })) ?? null
+  },
+  {
+    id: 'iam-console-user-mfa-disabled',
+    source: 'iam',
+    pillar: 'security',
+    questionKey: 'SEC02',
+    severity: 'high',
+    title: 'Console users without MFA',
+    description: 'IAM users with a console password do not have MFA enabled.',
+    remediation: 'Require MFA for every IAM user with console access, or move people to IAM Identity Center.',
+    evaluate: (awsData) => credentialReport(awsData)
+      ?.filter(user => user.user !== ROOT_USER && user.password_enabled === 'true' && user.mfa_active === 'false')
+      .map(user => ({
+        resource: user.arn || user.user,
+        region: 'global',
+        evidence: { user: user.user, passwordEnabled: true, mfaActive: false, passwordLastUsed: user.password_last_used }
+      })) ?? null
+  },
+  {
+    id: 'iam-unused-access-keys',
+    source: 'iam',
+    pillar: 'security',
+    questionKey: 'SEC02',
+    severity: 'medium',
+    title: 'Unused active access keys',
+    description: 'Active access keys have never been used.',
+    remediation: 'Deactivate and delete access keys that are not in use.',
+    evaluate: (awsData) => credentialReport(awsData)
+      ?.filter(user => ['1', '2'].some(key =>
+        user[`access_key_${key}_active`] === 'true' && user[`access_key_${key}_last_used_date`] === 'N/A'
+      ))
+      .map(user => ({
+        resource: user.arn || user.user,
+        region: 'global',
+        evidence: {
+          user: user.user,
+          unusedKeys: ['1', '2'].filter(key =>
+            user[`access_key_${key}_active`] === 'true' && user[`access_key_${key}_last_used_date`] === 'N/A'
+          )
+        }
+      })) ?? null
+  }
+];
@@ -0,0 +1,24 @@
+import { iamRules } from './iam.js';
+import { computeRules } from './compute.js';
+import { rdsRules } from './rds.js';
+import { serverlessRules } from './serverless.js';
+import { networkRules } from './network.js';
+import { s3Rules } from './s3.js';
+import { costRules } from './cost.js';
+import { monitoringRules } from './monitoring.js';
+import { cloudTrailRules } from './cloudtrail.js';
+import { trustedAdvisorRules } from './trusted-advisor.js';
+
+// Built-in rules evaluated by the RuleEngine; collectors add their rule module here
+export const defaultRules = [
+  ...iamRules,
+  ...computeRules,
+  ...rdsRules,
+  ...serverlessRules,
+  ...networkRules,
+  ...s3Rules,
+  ...costRules,
+  ...monitoringRules,
+  ...cloudTrailRules,
+  ...trustedAdvisorRules
+];
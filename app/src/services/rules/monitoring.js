@@ -0,0 +1,118 @@
+// CloudWatch and AWS Config rules
+
+// Average CPU per region, from the datapoints every regional collector tags with its region
+const averageCpuByRegion = (awsData) => {
+  const datapoints = awsData.cloudWatch?.cpuMetrics;
+  if (!datapoints || datapoints.length === 0) return null;
+
+  const byRegion = {};
+  datapoints.forEach(datapoint => {
+    const region = datapoint.region || 'global';
+    byRegion[region] = byRegion[region] || [];
+    byRegion[region].push(datapoint.Average);
+  });
+
+  return Object.entries(byRegion).map(([region, values]) => ({
+    region,
+    average: values.reduce((sum, value) => sum + value, 0) / values.length,
+    datapoints: values.length
+  }));
+};
+
+const cpuRule = ({ matches, ...rule }) => ({
+  ...rule,
+  source: 'cloudWatch',
+  evaluate: (awsData) => averageCpuByRegion(awsData)
+    ?.filter(entry => matches(entry.average))
+    .map(entry => ({
+      resource: 'AWS/EC2 CPUUtilization',
+      region: entry.region,
+      evidence: { averageCpuUtilization: Number(entry.average.toFixed(2)), datapoints: entry.datapoints }
+    })) ?? null
+});
+
+export const monitoringRules = [
+  cpuRule({
+    id: 'ec2-low-cpu-utilization',
+    pillar: 'performanceEfficiency',
+    questionKey: 'PERF02',
+    severity: 'medium',
+    title: 'Low average CPU utilization',
+    description: 'Average EC2 CPU utilization over the last week is below 20%.',
+    remediation: 'Downsize or consolidate instances, or move bursty workloads to Graviton or serverless compute.',
+    matches: cpu => cpu < 20
+  }),
+  cpuRule({
+    id: 'ec2-high-cpu-utilization',
+    pillar: 'performanceEfficiency',
+    questionKey: 'PERF02',
+    severity: 'high',
+    title: 'High average CPU utilization',
+    description: 'Average EC2 CPU utilization over the last week is above 80%.',
+    remediation: 'Scale up or out, for example with an Auto Scaling group driven by target tracking.',
+    matches: cpu => cpu > 80
+  }),
+  cpuRule({
+    id: 'ec2-idle-capacity',
+    pillar: 'sustainability',
+    questionKey: 'SUS05',
+    severity: 'low',
+    title: 'Idle compute capacity',
+    description: 'Instances run mostly idle, consuming energy for capacity that is not used.',
+    remediation: 'Rightsize to smaller or Graviton instance types and scale capacity with demand.',
+    matches: cpu => cpu < 20
+  }),
+  {
+    id: 'cloudwatch-no-metrics',
+    source: 'cloudWatch',
+    pillar: 'operationalExcellence',
+    questionKey: 'OPS04',
+    severity: 'low',
+    title: 'No EC2 metrics collected',
+    description: 'Running instances have no CloudWatch CPU datapoints for the last week.',
+    remediation: 'Verify CloudWatch monitoring for the instances and define dashboards and alarms for workload health.',
+    evaluate: (awsData) => {
+      if (!awsData.cloudWatch || !awsData.compute) return null;
+      const running = awsData.compute.instances?.filter(instance => instance.state === 'running').length || 0;
+      return running > 0 && awsData.cloudWatch.cpuMetrics?.length === 0
+        ? [{ resource: 'AWS/EC2 CPUUtilization', region: 'global', evidence: { runningInstances: running, datapoints: 0 } }]
+        : [];
+    }
+  },
+  {
+    id: 'config-no-rules',
+    source: 'config',
+    pillar: 'operationalExcellence',
+    questionKey: 'OPS04',
+    severity: 'medium',
+    title: 'No AWS Config rules',
+    description: 'AWS Config has no rules evaluating resource configuration.',
+    remediation: 'Enable AWS Config in every region and deploy a conformance pack for your baseline.',
+    evaluate: (awsData) => {
+      if (!awsData.config) return null;
+      return awsData.config.totalRules === 0 ? [{ resource: 'AWS Config', region: 'global', evidence: { totalRules: 0 } }] : [];
+    }
+  },
+  {
+    id: 'config-noncompliant-resources',
+    source: 'config',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'medium',
+    title: 'Resources failing AWS Config rules',
+    description: 'AWS Config reports resources that do not comply with deployed rules.',
+    remediation: 'Remediate the non-compliant resources, ideally with automated Config remediation actions.',
+    evaluate: (awsData) => awsData.config?.complianceResults
+      ?.flatMap(result => result.compliance
+        .filter(item => item.ComplianceType === 'NON_COMPLIANT')
+        .map(item => ({
+          resource: item.EvaluationResultIdentifier?.EvaluationResultQualifier?.ResourceId,
+          region: result.region,
+          evidence: {
+            configRule: result.ruleName,
+            resourceType: item.EvaluationResultIdentifier?.EvaluationResultQualifier?.ResourceType,
+            recordedAt: item.ResultRecordedTime
+          }
+        }))) ?? null
+  }
+];
@@ -0,0 +1,131 @@
+// Network rules evaluate the merged multi-region VPC and security group inventory
+
+const network = (awsData) => awsData.network || null;
+
+const openSources = (permissions) => [...new Set(permissions.map(permission => permission.source))];
+
+export const networkRules = [
+  {
+    id: 'sg-ingress-open-all-ports',
+    source: 'network',
+    pillar: 'security',
+    questionKey: 'SEC05',
+    severity: 'critical',
+    title: 'Security groups open to the internet on all ports',
+    description: 'The security group admits traffic from 0.0.0.0/0 or ::/0 on every port.',
+    remediation: 'Replace the rule with the specific ports the workload serves, restricted to known sources where possible.',
+    evaluate: (awsData) => network(awsData)?.securityGroups
+      ?.filter(group => group.openIngress.some(permission => permission.allPorts))
+      .map(group => ({
+        resource: group.groupId,
+        region: group.region,
+        evidence: {
+          groupName: group.groupName,
+          vpcId: group.vpcId,
+          sources: openSources(group.openIngress.filter(permission => permission.allPorts)),
+          instanceIds: group.instanceIds
+        }
+      })) ?? null
+  },
+  {
+    id: 'sg-ingress-open-sensitive-ports',
+    source: 'network',
+    pillar: 'security',
+    questionKey: 'SEC05',
+    severity: 'high',
+    title: 'Security groups open to the internet on sensitive ports',
+    description: 'The security group admits traffic from 0.0.0.0/0 or ::/0 on administration or database ports such as SSH, RDP or MySQL.',
+    remediation: 'Remove the rule and reach instances through Systems Manager Session Manager, a VPN or a bastion with restricted sources.',
+    evaluate: (awsData) => network(awsData)?.securityGroups
+      ?.map(group => ({ group, permissions: group.openIngress.filter(permission => !permission.allPorts && permission.sensitivePorts.length > 0) }))
+      .filter(({ permissions }) => permissions.length > 0)
+      .map(({ group, permissions }) => ({
+        resource: group.groupId,
+        region: group.region,
+        evidence: {
+          groupName: group.groupName,
+          vpcId: group.vpcId,
+          ports: [...new Map(permissions.flatMap(permission => permission.sensitivePorts).map(port => [port.port, port])).values()],
+          sources: openSources(permissions),
+          instanceIds: group.instanceIds
+        }
+      })) ?? null
+  },
+  {
+    id: 'ec2-instance-internet-reachable',
+    source: 'network',
+    pillar: 'security',
+    questionKey: 'SEC05',
+    severity: 'medium',
+    title: 'Instances reachable from the internet',
+    description: 'The instance has a public address in a public subnet, and its security groups admit traffic from anywhere.',
+    remediation: 'Move the instance to a private subnet behind a load balancer or CloudFront, or restrict its security groups.',
+    evaluate: (awsData) => network(awsData)?.instances
+      ?.filter(instance => instance.internetReachable)
+      .map(instance => ({
+        resource: instance.instanceId,
+        region: instance.region,
+        evidence: {
+          publicIpAddress: instance.publicIpAddress,
+          ipv6Address: instance.ipv6Address,
+          subnetId: instance.subnetId,
+          exposedPorts: instance.exposedPorts
+        }
+      })) ?? null
+  },
+  {
+    id: 'vpc-flow-logs-disabled',
+    source: 'network',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'medium',
+    title: 'VPCs without flow logs',
+    description: 'Traffic in the VPC is not recorded, which limits investigating network activity.',
+    remediation: 'Enable VPC flow logs to CloudWatch Logs or S3.',
+    // Unused default VPCs carry no traffic worth logging
+    evaluate: (awsData) => network(awsData)?.vpcs
+      ?.filter(vpc => vpc.flowLogs === false && (!vpc.isDefault || vpc.runningInstances > 0))
+      .map(vpc => ({
+        resource: vpc.vpcId,
+        region: vpc.region,
+        evidence: { flowLogs: false, isDefault: vpc.isDefault, runningInstances: vpc.runningInstances }
+      })) ?? null
+  },
+  {
+    id: 'vpc-single-availability-zone',
+    source: 'network',
+    pillar: 'reliability',
+    questionKey: 'REL02',
+    severity: 'medium',
+    title: 'Workload VPCs with subnets in a single Availability Zone',
+    description: 'All subnets of a VPC with running instances are in one Availability Zone, so the network cannot survive its failure.',
+    remediation: 'Add subnets in at least one more Availability Zone and spread the workload across them.',
+    evaluate: (awsData) => network(awsData)?.vpcs
+      ?.filter(vpc => vpc.runningInstances > 0 && vpc.availabilityZones.length === 1)
+      .map(vpc => ({
+        resource: vpc.vpcId,
+        region: vpc.region,
+        evidence: { availabilityZones: vpc.availabilityZones, runningInstances: vpc.runningInstances }
+      })) ?? null
+  },
+  {
+    id: 'nat-gateway-single-availability-zone',
+    source: 'network',
+    pillar: 'reliability',
+    questionKey: 'REL02',
+    severity: 'medium',
+    title: 'Private subnets depending on NAT gateways in one Availability Zone',
+    description: 'Private subnets in several Availability Zones reach the internet through NAT gateways in a single zone, which fails with it.',
+    remediation: 'Deploy a NAT gateway in each Availability Zone and route each private subnet to the one in its zone.',
+    evaluate: (awsData) => network(awsData)?.vpcs
+      ?.filter(vpc => vpc.natGatewayAvailabilityZones.length === 1 && vpc.natRoutedAvailabilityZones.length > 1)
+      .map(vpc => ({
+        resource: vpc.vpcId,
+        region: vpc.region,
+        evidence: {
+          natGatewayAvailabilityZones: vpc.natGatewayAvailabilityZones,
+          natRoutedAvailabilityZones: vpc.natRoutedAvailabilityZones
+        }
+      })) ?? null
+  }
+];
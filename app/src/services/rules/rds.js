@@ -0,0 +1,163 @@
+// RDS rules evaluate the merged multi-region database inventory. Aurora instances inherit availability,
+// backups and encryption from their cluster, so those are judged on clusters and standalone instances only.
+
+const MINIMUM_BACKUP_RETENTION_DAYS = 7;
+
+const rds = (awsData) => awsData.rds || null;
+
+const databases = (data) => [
+  ...data.instances
+    .filter(instance => !instance.clusterId)
+    .map(instance => ({ ...instance, resource: instance.arn, identifier: { dbInstanceId: instance.dbInstanceId } })),
+  ...data.clusters
+    .map(cluster => ({ ...cluster, resource: cluster.arn, identifier: { clusterId: cluster.clusterId } }))
+];
+
+const instances = (data) => data.instances
+  .map(instance => ({ ...instance, resource: instance.arn, identifier: { dbInstanceId: instance.dbInstanceId } }));
+
+const databaseRule = ({ targets = databases, matches, evidence, ...rule }) => ({
+  ...rule,
+  source: 'rds',
+  evaluate: (awsData) => {
+    const data = rds(awsData);
+    if (!data) return null;
+
+    return targets(data)
+      .filter(matches)
+      .map(database => ({
+        resource: database.resource,
+        region: database.region,
+        evidence: { ...database.identifier, engine: database.engine, ...evidence(database) }
+      }));
+  }
+});
+
+export const rdsRules = [
+  databaseRule({
+    id: 'rds-single-az',
+    pillar: 'reliability',
+    questionKey: 'REL10',
+    severity: 'medium',
+    title: 'Databases in a single Availability Zone',
+    description: 'The DB instance or cluster has no standby or replica in another Availability Zone, so an AZ failure takes it down.',
+    remediation: 'Enable Multi-AZ for RDS instances, or add an Aurora replica in another Availability Zone.',
+    // Aurora Serverless v1 fails over within the region on its own
+    matches: database => !database.multiAz && database.engineMode !== 'serverless',
+    evidence: database => ({ multiAz: false, availabilityZone: database.availabilityZone ?? database.availabilityZones?.[0] ?? null })
+  }),
+  databaseRule({
+    id: 'rds-backups-disabled',
+    pillar: 'reliability',
+    questionKey: 'REL09',
+    severity: 'high',
+    title: 'Databases without automated backups',
+    description: 'Automated backups are disabled, so the database cannot be restored to a point in time.',
+    remediation: 'Set a backup retention period of at least 7 days, or protect the database with an AWS Backup plan.',
+    matches: database => database.backupRetentionPeriod === 0,
+    evidence: () => ({ backupRetentionPeriod: 0 })
+  }),
+  databaseRule({
+    id: 'rds-short-backup-retention',
+    pillar: 'reliability',
+    questionKey: 'REL09',
+    severity: 'low',
+    title: 'Databases with short backup retention',
+    description: `Automated backups are kept for fewer than ${MINIMUM_BACKUP_RETENTION_DAYS} days, which limits how far back the database can be restored.`,
+    remediation: `Raise the backup retention period to at least ${MINIMUM_BACKUP_RETENTION_DAYS} days, in line with the recovery point objective.`,
+    matches: database => database.backupRetentionPeriod > 0 && database.backupRetentionPeriod < MINIMUM_BACKUP_RETENTION_DAYS,
+    evidence: database => ({ backupRetentionPeriod: database.backupRetentionPeriod })
+  }),
+  databaseRule({
+    id: 'rds-no-automated-snapshots',
+    pillar: 'reliability',
+    questionKey: 'REL09',
+    severity: 'medium',
+    title: 'Databases without automated snapshots',
+    description: 'Backups are enabled but no automated snapshot exists, so backups may be failing.',
+    remediation: 'Check the backup window and the RDS events of the database, and confirm a snapshot is taken.',
+    matches: database => database.backupRetentionPeriod > 0 && database.automatedSnapshots?.count === 0 &&
+      database.status === 'available',
+    evidence: database => ({ backupRetentionPeriod: database.backupRetentionPeriod, automatedSnapshots: 0 })
+  }),
+  databaseRule({
+    id: 'rds-deletion-protection-disabled',
+    pillar: 'reliability',
+    questionKey: 'REL09',
+    severity: 'low',
+    title: 'Databases without deletion protection',
+    description: 'The database can be deleted without first turning off deletion protection.',
+    remediation: 'Enable deletion protection on production databases.',
+    matches: database => !database.deletionProtection,
+    evidence: () => ({ deletionProtection: false })
+  }),
+  databaseRule({
+    id: 'rds-storage-unencrypted',
+    pillar: 'security',
+    questionKey: 'SEC08',
+    severity: 'high',
+    title: 'Databases with unencrypted storage',
+    description: 'The database storage, its backups and snapshots are not encrypted at rest.',
+    remediation: 'Copy a snapshot with encryption enabled and restore the database from it; encryption cannot be turned on in place.',
+    matches: database => !database.storageEncrypted,
+    evidence: () => ({ storageEncrypted: false })
+  }),
+  databaseRule({
+    id: 'rds-publicly-accessible',
+    targets: instances,
+    pillar: 'security',
+    questionKey: 'SEC05',
+    severity: 'high',
+    title: 'Publicly accessible DB instances',
+    description: 'The DB instance has a public IP address and can be reached from the internet if its security groups allow it.',
+    remediation: 'Turn off public accessibility and reach the database from private subnets, a VPN or a bastion.',
+    matches: instance => instance.publiclyAccessible,
+    evidence: instance => ({ publiclyAccessible: true, clusterId: instance.clusterId })
+  }),
+  databaseRule({
+    id: 'rds-engine-end-of-support',
+    pillar: 'security',
+    questionKey: 'SEC06',
+    severity: 'high',
+    title: 'Databases on engine versions past end of standard support',
+    description: 'The engine major version no longer receives standard support, so it runs on paid Extended Support or without security patches.',
+    remediation: 'Upgrade to a supported major engine version after testing it on a snapshot restore or blue/green deployment.',
+    matches: database => ['extended_support', 'end_of_support'].includes(database.engineSupport?.status),
+    evidence: database => ({ engineVersion: database.engineVersion, ...database.engineSupport })
+  }),
+  databaseRule({
+    id: 'rds-engine-support-ending',
+    pillar: 'security',
+    questionKey: 'SEC06',
+    severity: 'medium',
+    title: 'Databases on engine versions nearing end of standard support',
+    description: 'Standard support for the engine major version ends within 180 days.',
+    remediation: 'Plan and test the major version upgrade before standard support ends.',
+    matches: database => database.engineSupport?.status === 'ending_soon',
+    evidence: database => ({ engineVersion: database.engineVersion, ...database.engineSupport })
+  }),
+  databaseRule({
+    id: 'rds-performance-insights-disabled',
+    targets: instances,
+    pillar: 'reliability',
+    questionKey: 'REL06',
+    severity: 'low',
+    title: 'DB instances without Performance Insights',
+    description: 'Database load and the queries causing it are not recorded.',
+    remediation: 'Enable Performance Insights; the 7-day retention tier is free.',
+    matches: instance => !instance.performanceInsightsEnabled,
+    evidence: () => ({ performanceInsightsEnabled: false })
+  }),
+  databaseRule({
+    id: 'rds-enhanced-monitoring-disabled',
+    targets: instances,
+    pillar: 'reliability',
+    questionKey: 'REL06',
+    severity: 'low',
+    title: 'DB instances without Enhanced Monitoring',
+    description: 'Operating system metrics of the DB instance are not collected.',
+    remediation: 'Enable Enhanced Monitoring with a granularity of 60 seconds or less.',
+    matches: instance => instance.enhancedMonitoringInterval === 0,
+    evidence: () => ({ enhancedMonitoringInterval: 0 })
+  })
+];
@@ -0,0 +1,128 @@
+// S3 rules evaluate the account-wide bucket inventory; settings that could not be read are skipped
+
+const PUBLIC_ACCESS_BLOCK_SETTINGS = ['blockPublicAcls', 'ignorePublicAcls', 'blockPublicPolicy', 'restrictPublicBuckets'];
+
+const buckets = (awsData) => awsData.s3?.buckets || null;
+
+// A bucket setting applies when either the account or the bucket turns it on
+const effectivePublicAccessBlock = (account, bucket) => Object.fromEntries(
+  PUBLIC_ACCESS_BLOCK_SETTINGS.map(setting => [setting, account[setting] || bucket[setting]])
+);
+
+const disabledSettings = (block) => PUBLIC_ACCESS_BLOCK_SETTINGS.filter(setting => !block[setting]);
+
+const bucketRule = ({ matches, evidence, ...rule }) => ({
+  ...rule,
+  source: 's3',
+  evaluate: (awsData) => buckets(awsData)
+    ?.filter(bucket => matches(bucket, awsData.s3))
+    .map(bucket => ({
+      resource: bucket.arn,
+      region: bucket.region,
+      evidence: { bucket: bucket.name, ...evidence(bucket, awsData.s3) }
+    })) ?? null
+});
+
+export const s3Rules = [
+  {
+    id: 's3-account-public-access-block-disabled',
+    source: 's3',
+    pillar: 'security',
+    questionKey: 'SEC03',
+    severity: 'high',
+    title: 'S3 Block Public Access not fully enabled for the account',
+    description: 'Not all four S3 Block Public Access settings are enabled at the account level, so new buckets can be made public.',
+    remediation: 'Enable all four Block Public Access settings for the account and make exceptions per bucket only.',
+    evaluate: (awsData) => {
+      const block = awsData.s3?.accountPublicAccessBlock;
+      if (!block) return null;
+
+      const disabled = disabledSettings(block);
+      return disabled.length === 0 ? [] : [{
+        resource: 's3-account-public-access-block',
+        region: 'global',
+        evidence: { configured: block.configured, disabledSettings: disabled }
+      }];
+    }
+  },
+  bucketRule({
+    id: 's3-bucket-public-policy',
+    pillar: 'security',
+    questionKey: 'SEC03',
+    severity: 'critical',
+    title: 'S3 buckets with public bucket policies',
+    description: 'The bucket policy grants access to everyone.',
+    remediation: 'Remove the public statements, or serve public content through CloudFront with origin access control.',
+    matches: bucket => bucket.policy?.isPublic === true,
+    evidence: bucket => ({ publicStatements: bucket.policy.publicStatements })
+  }),
+  bucketRule({
+    id: 's3-bucket-public-access-not-blocked',
+    pillar: 'security',
+    questionKey: 'SEC03',
+    severity: 'medium',
+    title: 'S3 buckets without full Block Public Access',
+    description: 'Neither the account nor the bucket enables every Block Public Access setting, so ACLs or policies can expose the bucket.',
+    remediation: 'Enable Block Public Access on the bucket, or for the whole account.',
+    matches: (bucket, s3) => bucket.publicAccessBlock && s3.accountPublicAccessBlock &&
+      disabledSettings(effectivePublicAccessBlock(s3.accountPublicAccessBlock, bucket.publicAccessBlock)).length > 0,
+    evidence: (bucket, s3) => ({
+      disabledSettings: disabledSettings(effectivePublicAccessBlock(s3.accountPublicAccessBlock, bucket.publicAccessBlock))
+    })
+  }),
+  bucketRule({
+    id: 's3-bucket-cross-account-access',
+    pillar: 'security',
+    questionKey: 'SEC03',
+    severity: 'medium',
+    title: 'S3 buckets shared with other accounts',
+    description: 'The bucket policy grants access to principals of other AWS accounts.',
+    remediation: 'Confirm each external account is intended, and scope the statements to the actions and prefixes it needs.',
+    matches: bucket => bucket.policy?.crossAccountPrincipals.length > 0,
+    evidence: bucket => ({ principals: bucket.policy.crossAccountPrincipals })
+  }),
+  bucketRule({
+    id: 's3-bucket-default-encryption-disabled',
+    pillar: 'security',
+    questionKey: 'SEC08',
+    severity: 'high',
+    title: 'S3 buckets without default encryption',
+    description: 'The bucket has no default server-side encryption configuration.',
+    remediation: 'Configure default encryption with SSE-S3, or SSE-KMS with an S3 Bucket Key.',
+    matches: bucket => bucket.encryption?.enabled === false,
+    evidence: () => ({ encryption: false })
+  }),
+  bucketRule({
+    id: 's3-bucket-versioning-disabled',
+    pillar: 'reliability',
+    questionKey: 'REL09',
+    severity: 'medium',
+    title: 'S3 buckets without versioning',
+    description: 'Overwritten or deleted objects cannot be recovered because versioning is not enabled.',
+    remediation: 'Enable versioning, with a lifecycle rule that expires noncurrent versions, or back the bucket up with AWS Backup.',
+    matches: bucket => bucket.versioning && bucket.versioning.status !== 'Enabled',
+    evidence: bucket => ({ versioning: bucket.versioning.status, objectLock: bucket.objectLock?.enabled ?? null })
+  }),
+  bucketRule({
+    id: 's3-bucket-access-logging-disabled',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'low',
+    title: 'S3 buckets without server access logging',
+    description: 'Requests to the bucket are not logged, which limits investigating access to its data.',
+    remediation: 'Enable server access logging to a dedicated log bucket, or CloudTrail data events for sensitive buckets.',
+    matches: bucket => bucket.logging?.enabled === false,
+    evidence: () => ({ serverAccessLogging: false })
+  }),
+  bucketRule({
+    id: 's3-bucket-no-lifecycle-rules',
+    pillar: 'sustainability',
+    questionKey: 'SUS04',
+    severity: 'low',
+    title: 'S3 buckets without lifecycle rules',
+    description: 'No enabled lifecycle rule moves objects to colder storage classes or deletes them, so data is kept indefinitely.',
+    remediation: 'Add lifecycle rules that transition infrequently accessed data and expire data past its retention period.',
+    matches: bucket => bucket.lifecycle?.enabledRules === 0,
+    evidence: bucket => ({ lifecycleRules: bucket.lifecycle.rules, enabledRules: 0 })
+  })
+];
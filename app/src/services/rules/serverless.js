@@ -0,0 +1,156 @@
+// Serverless rules evaluate the merged multi-region Lambda, API Gateway and SQS inventory;
+// a collection that could not be read in any region is skipped
+
+const serverlessRule = ({ collection, resourceOf, matches, evidence, ...rule }) => ({
+  ...rule,
+  source: 'serverless',
+  evaluate: (awsData) => awsData.serverless?.[collection]
+    ?.filter(matches)
+    .map(item => ({
+      resource: item.arn,
+      region: item.region,
+      evidence: { ...resourceOf(item), ...evidence(item) }
+    })) ?? null
+});
+
+const functionRule = (rule) => serverlessRule({
+  ...rule,
+  collection: 'functions',
+  resourceOf: fn => ({ functionName: fn.functionName })
+});
+
+const stageRule = (rule) => serverlessRule({
+  ...rule,
+  collection: 'apiStages',
+  resourceOf: stage => ({ apiName: stage.apiName, stageName: stage.stageName, protocol: stage.protocol })
+});
+
+const queueRule = (rule) => serverlessRule({
+  ...rule,
+  collection: 'queues',
+  resourceOf: queue => ({ queueName: queue.queueName })
+});
+
+export const serverlessRules = [
+  functionRule({
+    id: 'lambda-runtime-deprecated',
+    pillar: 'security',
+    questionKey: 'SEC06',
+    severity: 'high',
+    title: 'Lambda functions on deprecated runtimes',
+    description: 'The runtime no longer receives security patches, and Lambda will block creating and then updating functions that use it.',
+    remediation: 'Upgrade the function to a supported runtime version and test it before the update block applies.',
+    matches: fn => fn.runtimeSupport?.status === 'deprecated',
+    evidence: fn => ({ runtime: fn.runtime, deprecatedAt: fn.runtimeSupport.deprecatedAt })
+  }),
+  functionRule({
+    id: 'lambda-runtime-deprecation-soon',
+    pillar: 'security',
+    questionKey: 'SEC06',
+    severity: 'medium',
+    title: 'Lambda functions on runtimes deprecated within 180 days',
+    description: 'The runtime is about to stop receiving security patches.',
+    remediation: 'Plan the upgrade to a newer runtime version before the deprecation date.',
+    matches: fn => fn.runtimeSupport?.status === 'deprecating_soon',
+    evidence: fn => ({ runtime: fn.runtime, deprecatedAt: fn.runtimeSupport.deprecatedAt })
+  }),
+  functionRule({
+    id: 'lambda-no-failure-destination',
+    pillar: 'reliability',
+    questionKey: 'REL05',
+    severity: 'low',
+    title: 'Lambda functions without a dead-letter queue or on-failure destination',
+    description: 'Events from asynchronous invocations that still fail after the retries are dropped.',
+    remediation: 'Configure an on-failure destination or a dead-letter queue for functions that are invoked asynchronously.',
+    matches: fn => fn.asyncInvocation && !fn.asyncInvocation.onFailureDestination && !fn.deadLetterTarget,
+    evidence: fn => ({ deadLetterTarget: null, onFailureDestination: null, maximumRetryAttempts: fn.asyncInvocation.maximumRetryAttempts })
+  }),
+  functionRule({
+    id: 'lambda-tracing-disabled',
+    pillar: 'operationalExcellence',
+    questionKey: 'OPS04',
+    severity: 'low',
+    title: 'Lambda functions without X-Ray tracing',
+    description: 'Requests through the function are not traced, which makes latency and errors across services hard to follow.',
+    remediation: 'Enable active tracing, or instrument the function with OpenTelemetry.',
+    matches: fn => fn.tracing !== 'Active',
+    evidence: fn => ({ tracing: fn.tracing })
+  }),
+  functionRule({
+    id: 'lambda-single-subnet',
+    pillar: 'reliability',
+    questionKey: 'REL10',
+    severity: 'medium',
+    title: 'VPC-attached Lambda functions in a single subnet',
+    description: 'The function can only run in one Availability Zone, so an AZ failure stops it.',
+    remediation: 'Attach the function to subnets in at least two Availability Zones.',
+    matches: fn => fn.vpc?.subnetIds.length === 1,
+    evidence: fn => ({ vpcId: fn.vpc.vpcId, subnetIds: fn.vpc.subnetIds })
+  }),
+  functionRule({
+    id: 'lambda-x86-architecture',
+    pillar: 'sustainability',
+    questionKey: 'SUS05',
+    severity: 'low',
+    title: 'Lambda functions on x86_64',
+    description: 'The function runs on x86_64, while arm64 (Graviton) uses less energy and costs less for most workloads.',
+    remediation: 'Rebuild native dependencies for arm64 and switch the function architecture after testing.',
+    matches: fn => fn.architecture === 'x86_64',
+    evidence: fn => ({ architecture: fn.architecture, runtime: fn.runtime })
+  }),
+  stageRule({
+    id: 'apigateway-stage-logging-disabled',
+    pillar: 'security',
+    questionKey: 'SEC04',
+    severity: 'medium',
+    title: 'API Gateway stages without logging',
+    description: 'Neither access logs nor execution logs are written, so requests to the API cannot be investigated.',
+    remediation: 'Enable access logging to CloudWatch Logs or Kinesis Data Firehose for the stage.',
+    matches: stage => !stage.accessLogging && stage.executionLogging === 'OFF',
+    evidence: () => ({ accessLogging: false, executionLogging: 'OFF' })
+  }),
+  stageRule({
+    id: 'apigateway-stage-throttling-not-configured',
+    pillar: 'reliability',
+    questionKey: 'REL05',
+    severity: 'low',
+    title: 'API Gateway stages without stage throttling',
+    description: 'The stage only has the account-wide throttling limits, so one API can consume the capacity of all others.',
+    remediation: 'Set default rate and burst limits on the stage, and usage plans for API clients.',
+    matches: stage => !stage.throttling,
+    evidence: () => ({ throttling: null })
+  }),
+  stageRule({
+    id: 'apigateway-stage-no-waf',
+    pillar: 'security',
+    questionKey: 'SEC05',
+    severity: 'medium',
+    title: 'REST API stages without AWS WAF',
+    description: 'No web ACL filters requests to the stage.',
+    remediation: 'Associate an AWS WAF web ACL with managed rule groups and rate-based rules with the stage.',
+    matches: stage => stage.wafSupported && !stage.webAclArn,
+    evidence: () => ({ webAclArn: null })
+  }),
+  queueRule({
+    id: 'sqs-queue-no-dead-letter-queue',
+    pillar: 'reliability',
+    questionKey: 'REL05',
+    severity: 'medium',
+    title: 'SQS queues without a dead-letter queue',
+    description: 'Messages that repeatedly fail processing are retried until they expire, blocking or slowing the consumers.',
+    remediation: 'Configure a redrive policy with a dead-letter queue and alarm on its depth.',
+    matches: queue => queue.redrivePolicy?.enabled === false && !queue.isDeadLetterQueue,
+    evidence: () => ({ redrivePolicy: null })
+  }),
+  queueRule({
+    id: 'sqs-queue-unencrypted',
+    pillar: 'security',
+    questionKey: 'SEC08',
+    severity: 'medium',
+    title: 'SQS queues without server-side encryption',
+    description: 'Messages are stored unencrypted at rest.',
+    remediation: 'Enable SSE-SQS, or SSE-KMS with a customer managed key for queues with sensitive data.',
+    matches: queue => queue.encryption?.enabled === false,
+    evidence: () => ({ encryption: false })
+  })
+];
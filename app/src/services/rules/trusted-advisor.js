@@ -0,0 +1,31 @@
+// Trusted Advisor rules: one per check category, failing on any check in "error" (red) status
+
+const categoryRule = (category, pillar, questionKey, label) => ({
+  id: `trusted-advisor-${category.replace(/_/g, '-')}`,
+  source: 'trustedAdvisor',
+  pillar,
+  questionKey,
+  severity: 'high',
+  title: `Trusted Advisor ${label} checks in error`,
+  description: `Trusted Advisor reports red ${label.toLowerCase()} checks.`,
+  remediation: 'Work through the flagged resources listed in the Trusted Advisor console.',
+  evaluate: (awsData) => awsData.trustedAdvisor?.checkResults
+    ?.filter(check => check.category === category && check.result?.status === 'error')
+    .map(check => ({
+      resource: check.id,
+      region: 'global',
+      evidence: {
+        checkName: check.name,
+        status: check.result.status,
+        flaggedResources: check.result.flaggedResources?.length || 0
+      }
+    })) ?? null
+});
+
+export const trustedAdvisorRules = [
+  categoryRule('security', 'security', 'SEC01', 'Security'),
+  categoryRule('fault_tolerance', 'reliability', 'REL10', 'Fault Tolerance'),
+  categoryRule('service_limits', 'reliability', 'REL01', 'Service Limits'),
+  categoryRule('performance', 'performanceEfficiency', 'PERF02', 'Performance'),
+  categoryRule('cost_optimizing', 'costOptimization', 'COST06', 'Cost Optimization')
+];
@@ -0,0 +1,113 @@
+import db from '../database/init.js';
+
+export const SUPPRESSION_REASONS = ['accepted_risk', 'false_positive'];
+
+// Raised when the finding to suppress does not exist in the tenant, so routes can answer 404
+export class FindingNotFoundError extends Error {
+  constructor(findingId) {
+    super(`Finding ${findingId} not found`);
+    this.name = 'FindingNotFoundError';
+  }
+}
+
+// A suppression is active until it is revoked or its expiry passes; expired ones are kept for the audit trail
+const ACTIVE_CONDITION = "s.revoked_at IS NULL AND datetime(s.expires_at) > datetime('now')";
+
+// Suppressions belong to a tenant and cover the findings of that tenant only
+export const createSuppression = async ({ tenantId, findingId, reason, justification, owner, expiresAt }) => {
+  const finding = await db.get(
+    `SELECT finding_id, account_id, source, type, title, resource, region FROM findings
+     WHERE finding_id = ? AND tenant_id = ? ORDER BY created_at DESC LIMIT 1`,
+    [findingId, tenantId]
+  );
+
+  if (!finding) {
+    throw new FindingNotFoundError(findingId);
+  }
+
+  // A new decision replaces the active one for the same finding
+  await db.run(
+    `UPDATE suppressions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE finding_id = ? AND tenant_id = ? AND id IN (SELECT id FROM suppressions s WHERE ${ACTIVE_CONDITION})`,
+    [findingId, tenantId]
+  );
+
+  const result = await db.run(
+    `INSERT INTO suppressions (tenant_id, finding_id, account_id, source, type, title, resource, region, reason, justification,
+                               owner, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tenantId, finding.finding_id, finding.account_id, finding.source, finding.type, finding.title, finding.resource,
+      finding.region, reason, justification, owner, new Date(expiresAt).toISOString()
+    ]
+  );
+
+  return getSuppression(result.id, tenantId);
+};
+
+export const getSuppression = async (id, tenantId) => {
+  const row = await db.get(
+    `SELECT s.*, (${ACTIVE_CONDITION}) AS active FROM suppressions s WHERE s.id = ? AND s.tenant_id = ?`,
+    [id, tenantId]
+  );
+  return row ? toSuppression(row) : null;
+};
+
+export const listSuppressions = async ({ tenantId, accountId, findingId, active } = {}) => {
+  const conditions = ['s.tenant_id = ?'];
+  const params = [tenantId];
+
+  if (accountId) {
+    conditions.push('s.account_id = ?');
+    params.push(accountId);
+  }
+  if (findingId) {
+    conditions.push('s.finding_id = ?');
+    params.push(findingId);
+  }
+  if (active === true) {
+    conditions.push(ACTIVE_CONDITION);
+  } else if (active === false) {
+    conditions.push(`NOT (${ACTIVE_CONDITION})`);
+  }
+
+  const rows = await db.all(`
+    SELECT s.*, (${ACTIVE_CONDITION}) AS active FROM suppressions s
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY s.created_at DESC, s.id DESC
+  `, params);
+
+  return rows.map(toSuppression);
+};
+
+export const revokeSuppression = async (id, tenantId) => {
+  const result = await db.run(
+    'UPDATE suppressions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL',
+    [id, tenantId]
+  );
+  return result.changes > 0 ? getSuppression(id, tenantId) : null;
+};
+
+// Active suppressions of a tenant keyed by finding id, in the shape the rule engine expects
+export const getActiveSuppressions = async (tenantId, accountId = null) => {
+  const suppressions = await listSuppressions({ tenantId, accountId, active: true });
+  return new Map(suppressions.map(suppression => [suppression.findingId, suppression]));
+};
+
+const toSuppression = (row) => ({
+  id: row.id,
+  findingId: row.finding_id,
+  accountId: row.account_id,
+  source: row.source,
+  type: row.type,
+  title: row.title,
+  resource: row.resource,
+  region: row.region,
+  reason: row.reason,
+  justification: row.justification,
+  owner: row.owner,
+  expiresAt: row.expires_at,
+  active: row.active === 1,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
@@ -0,0 +1,208 @@
+import db, { DEFAULT_TENANT } from '../database/init.js';
+
+export { DEFAULT_TENANT };
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Raised for tenant input that cannot be stored, so routes can answer 400
+export class InvalidTenantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTenantError';
+  }
+}
+
+// Raised for duplicate tenants or deletes that would orphan data, so routes can answer 409
+export class TenantConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TenantConflictError';
+  }
+}
+
+// Raised when a tenant reaches for an AWS account outside its target configuration, so routes can answer 403
+export class TenantTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TenantTargetError';
+  }
+}
+
+// Checks the fields present in input; on create, tenantId and name are required
+const validateTenant = (input, { create }) => {
+  const fields = {};
+
+  if (create) {
+    if (typeof input.tenantId !== 'string' || !TENANT_ID_PATTERN.test(input.tenantId)) {
+      throw new InvalidTenantError('tenantId must be lowercase letters, digits and dashes');
+    }
+    fields.id = input.tenantId;
+  }
+
+  if (create || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new InvalidTenantError('name is required');
+    }
+    fields.name = input.name.trim();
+  }
+
+  const aws = input.aws ?? (create ? {} : undefined);
+  if (aws !== undefined) {
+    if (typeof aws !== 'object' || aws === null || Array.isArray(aws)) {
+      throw new InvalidTenantError('aws must be an object');
+    }
+
+    if (create || aws.accountIds !== undefined) {
+      const accountIds = aws.accountIds ?? [];
+      if (!Array.isArray(accountIds) || accountIds.some(id => !/^\d{12}$/.test(String(id)))) {
+        throw new InvalidTenantError('aws.accountIds must be 12-digit AWS account numbers');
+      }
+      fields.aws_account_ids = JSON.stringify([...new Set(accountIds.map(String))]);
+    }
+
+    if (create || aws.regions !== undefined) {
+      const regions = aws.regions ?? [];
+      if (!Array.isArray(regions) || regions.some(region => typeof region !== 'string' || !region.trim())) {
+        throw new InvalidTenantError('aws.regions must be an array of region names');
+      }
+      fields.aws_regions = JSON.stringify([...new Set(regions)]);
+    }
+
+    [['roleName', 'aws_role_name'], ['externalId', 'aws_external_id']].forEach(([field, column]) => {
+      if (aws[field] !== undefined) {
+        if (aws[field] !== null && typeof aws[field] !== 'string') {
+          throw new InvalidTenantError(`aws.${field} must be a string`);
+        }
+        fields[column] = aws[field]?.trim() || null;
+      }
+    });
+  }
+
+  return fields;
+};
+
+export const createTenant = async (input) => {
+  const fields = validateTenant(input, { create: true });
+  if (await getTenant(fields.id)) {
+    throw new TenantConflictError(`Tenant ${fields.id} already exists`);
+  }
+
+  await db.run(
+    `INSERT INTO tenants (id, name, aws_account_ids, aws_role_name, aws_external_id, aws_regions)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [fields.id, fields.name, fields.aws_account_ids, fields.aws_role_name ?? null, fields.aws_external_id ?? null, fields.aws_regions]
+  );
+
+  console.log(`🏢 Tenant ${fields.id} created`);
+  return getTenant(fields.id);
+};
+
+export const getTenant = async (tenantId) => {
+  const row = await db.get('SELECT * FROM tenants WHERE id = ?', [tenantId]);
+  return row ? toTenant(row) : null;
+};
+
+export const listTenants = async () => {
+  const rows = await db.all('SELECT * FROM tenants ORDER BY id');
+  return rows.map(toTenant);
+};
+
+// Returns null when the tenant does not exist
+export const updateTenant = async (tenantId, changes) => {
+  if (!await getTenant(tenantId)) {
+    return null;
+  }
+
+  const fields = validateTenant(changes, { create: false });
+  const columns = Object.keys(fields);
+  if (columns.length > 0) {
+    await db.run(
+      `UPDATE tenants SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), tenantId]
+    );
+  }
+
+  return getTenant(tenantId);
+};
+
+// Only an empty tenant other than the default one can be deleted. Returns false when it does not exist.
+export const deleteTenant = async (tenantId) => {
+  if (!await getTenant(tenantId)) {
+    return false;
+  }
+  if (tenantId === DEFAULT_TENANT) {
+    throw new TenantConflictError('The default tenant cannot be deleted');
+  }
+
+  const { count } = await db.get(`
+    SELECT (SELECT COUNT(*) FROM analysis_sessions WHERE tenant_id = ?) +
+           (SELECT COUNT(*) FROM workloads WHERE tenant_id = ?) AS count
+  `, [tenantId, tenantId]);
+  if (count > 0) {
+    throw new TenantConflictError(`Tenant ${tenantId} has reviews or workloads and cannot be deleted`);
+  }
+
+  await db.transaction(async () => {
+    await db.run('UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE tenant_id = ?', [tenantId]);
+    await db.run('DELETE FROM tenants WHERE id = ?', [tenantId]);
+  });
+  return true;
+};
+
+// The session when it belongs to the tenant; sessions of other tenants are reported as missing
+export const findTenantSession = (sessionId, tenantId) => db.get(
+  'SELECT * FROM analysis_sessions WHERE id = ? AND tenant_id = ?',
+  [sessionId, tenantId]
+);
+
+export const getSessionTenantId = async (sessionId) => {
+  const session = await db.get('SELECT tenant_id FROM analysis_sessions WHERE id = ?', [sessionId]);
+  return session?.tenant_id ?? DEFAULT_TENANT;
+};
+
+// Checks the accounts a tenant reaches for against its target configuration. The default tenant
+// without accounts may use the configured credentials and any role they can assume; every other
+// tenant is limited to its own accounts.
+export const assertTenantAccounts = (tenant, accountIds) => {
+  const allowed = tenant.aws.accountIds;
+  if (allowed.length === 0) {
+    if (tenant.tenantId !== DEFAULT_TENANT) {
+      throw new TenantTargetError(`Tenant ${tenant.tenantId} has no AWS accounts configured`);
+    }
+    return;
+  }
+
+  const outside = accountIds.filter(accountId => !allowed.includes(String(accountId)));
+  if (outside.length > 0) {
+    throw new TenantTargetError(`Accounts outside tenant ${tenant.tenantId}: ${outside.join(', ')}`);
+  }
+};
+
+// AWS service for live queries on behalf of a tenant: one of its accounts through its review role
+// (the first unless accountId is given), or the configured credentials for the default tenant
+export const getTenantAwsService = async (awsService, tenant, { accountId, config } = {}) => {
+  const target = accountId ?? tenant.aws.accountIds[0];
+  assertTenantAccounts(tenant, target ? [target] : []);
+
+  if (!target) {
+    return awsService;
+  }
+  return awsService.forAccount(String(target), {
+    roleName: tenant.aws.roleName || config?.aws.reviewRoleName,
+    externalId: tenant.aws.externalId || config?.aws.reviewExternalId,
+    sessionName: `well-architected-${tenant.tenantId}`.slice(0, 64)
+  });
+};
+
+const toTenant = (row) => ({
+  tenantId: row.id,
+  name: row.name,
+  aws: {
+    accountIds: JSON.parse(row.aws_account_ids || '[]'),
+    roleName: row.aws_role_name,
+    externalId: row.aws_external_id,
+    regions: JSON.parse(row.aws_regions || '[]')
+  },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
@@ -0,0 +1,336 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/init.js';
+import { getQuestionChoices, validateSelectedChoices, saveAnswer, InvalidAnswerError } from './answers.js';
+import { findLens, resolveReviewLenses, setSessionLenses, InvalidLensError } from './lenses.js';
+import { createWorkload, getWorkload, listWorkloads, createMilestone, InvalidWorkloadError, WorkloadConflictError } from './workloads.js';
+import { assertTenantAccounts } from './tenants.js';
+import { principalName } from './auth.js';
+import { ReviewNotCompletedError } from './well-architected-review.js';
+
+export const WA_TOOL_FORMAT = 'waar-wa-tool-export';
+const WA_TOOL_FORMAT_VERSION = 1;
+
+// Longest Notes the Well-Architected Tool accepts on an answer
+const WA_TOOL_NOTES_LIMIT = 2084;
+
+// Raised for import files that cannot be read as a review, so routes can answer 400
+export class InvalidWaToolFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWaToolFileError';
+  }
+}
+
+// Question titles of the Well-Architected Tool and of the catalog differ in case and punctuation only
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const toWaToolNotes = (answer) => {
+  const notes = [answer.answer_text, answer.notes].filter(Boolean).join('\n\n');
+  return notes.length > WA_TOOL_NOTES_LIMIT ? `${notes.slice(0, WA_TOOL_NOTES_LIMIT - 3)}...` : notes;
+};
+
+// The milestone a session was last saved in, or a name from the date of the review
+const defaultMilestoneName = async (session) => {
+  const milestone = await db.get(`
+    SELECT m.name FROM milestones m
+    JOIN milestone_sessions ms ON ms.milestone_id = m.id
+    WHERE ms.session_id = ?
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT 1
+  `, [session.id]);
+  return milestone?.name || `Review ${String(session.updated_at || session.created_at).slice(0, 10)}`;
+};
+
+// Serializes a completed review with the field names of the Well-Architected Tool API: the workload
+// as CreateWorkload input, the milestone as CreateMilestone input and the answers of every lens as
+// UpdateAnswer input. Free-text answers and notes are merged into Notes, the only text the tool keeps.
+export const exportWaToolReview = async (sessionId, tenantId, { milestoneName } = {}) => {
+  const session = await db.get('SELECT * FROM analysis_sessions WHERE id = ? AND tenant_id = ?', [sessionId, tenantId]);
+  // Automated collection also marks a review completed, before its questions are answered
+  if (!session || session.analysis_status !== 'completed' || !session.recommendations) {
+    throw new ReviewNotCompletedError(sessionId);
+  }
+
+  const workload = session.workload_id ? await getWorkload(session.workload_id, tenantId) : null;
+  const lenses = await db.all(`
+    SELECT l.id, l.alias, l.version, l.name
+    FROM session_lenses sl
+    JOIN lenses l ON sl.lens_id = l.id
+    WHERE sl.session_id = ?
+    ORDER BY l.builtin DESC, l.alias
+  `, [sessionId]);
+
+  const answers = await db.all(`
+    SELECT q.id AS question_id, q.lens_id, q.question_key, q.question_text, p.pillar_key,
+           a.answer_text, a.selected_choices, a.notes, a.risk
+    FROM answers a
+    JOIN questions q ON a.question_id = q.id
+    JOIN pillars p ON q.pillar_id = p.id
+    WHERE a.session_id = ?
+    ORDER BY q.lens_id, q.position, q.id
+  `, [sessionId]);
+
+  const choices = await db.all(`
+    SELECT c.question_id, c.choice_key, c.title
+    FROM question_choices c
+    JOIN answers a ON a.question_id = c.question_id
+    WHERE a.session_id = ?
+  `, [sessionId]);
+  const choiceTitle = (questionId, key) =>
+    choices.find(choice => choice.question_id === questionId && choice.choice_key === key)?.title || null;
+
+  const lensAliases = lenses.map(lens => lens.alias);
+  const accountIds = workload?.accountIds.length > 0 ? workload.accountIds : [session.account_id].filter(Boolean);
+
+  return {
+    format: WA_TOOL_FORMAT,
+    formatVersion: WA_TOOL_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      sessionId,
+      accountId: session.account_id,
+      reviewedAt: session.updated_at || session.created_at
+    },
+    workload: {
+      WorkloadName: workload?.name || `Review ${sessionId}`,
+      Description: workload?.description || `Well-Architected Review ${sessionId}`,
+      Environment: workload?.environment || 'PRODUCTION',
+      AccountIds: accountIds,
+      AwsRegions: workload?.regions || [],
+      ReviewOwner: workload?.owner || session.created_by || null,
+      Lenses: lensAliases,
+      Tags: workload?.tags || {}
+    },
+    milestone: {
+      MilestoneName: milestoneName || await defaultMilestoneName(session)
+    },
+    lensReviews: lenses.map(lens => ({
+      LensAlias: lens.alias,
+      LensVersion: lens.version,
+      LensName: lens.name,
+      Answers: answers
+        .filter(answer => answer.lens_id === lens.id)
+        .map(answer => {
+          const selected = JSON.parse(answer.selected_choices || '[]');
+          return {
+            QuestionId: answer.question_key,
+            QuestionTitle: answer.question_text,
+            PillarId: answer.pillar_key,
+            SelectedChoices: selected,
+            SelectedChoiceTitles: selected.map(key => choiceTitle(answer.question_id, key)),
+            Notes: toWaToolNotes(answer),
+            IsApplicable: true,
+            Risk: answer.risk
+          };
+        })
+    }))
+  };
+};
+
+// Lens reviews of an export, or the output of `aws wellarchitected list-answers` for one lens
+const readLensReviews = (file) => {
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    throw new InvalidWaToolFileError('The import file must be a JSON object');
+  }
+
+  const lensReviews = Array.isArray(file.lensReviews) ? file.lensReviews :
+    file.LensAlias ? [file] : null;
+  if (!lensReviews || lensReviews.length === 0) {
+    throw new InvalidWaToolFileError('The import file has no lensReviews');
+  }
+
+  return lensReviews.map(lensReview => {
+    const answers = lensReview.Answers || lensReview.AnswerSummaries;
+    if (typeof lensReview.LensAlias !== 'string' || !lensReview.LensAlias || !Array.isArray(answers)) {
+      throw new InvalidWaToolFileError('Every lens review needs a LensAlias and an Answers array');
+    }
+    return { alias: lensReview.LensAlias, version: lensReview.LensVersion || null, answers };
+  });
+};
+
+// Exact versions are used when this installation has them, the latest version otherwise
+const resolveImportLenses = async (lensReviews) => {
+  try {
+    const latest = await resolveReviewLenses(lensReviews.map(lensReview => lensReview.alias));
+    return Promise.all(latest.map(async lens => {
+      const { version } = lensReviews.find(lensReview => lensReview.alias === lens.alias);
+      return (version && await findLens(lens.alias, version)) || lens;
+    }));
+  } catch (error) {
+    if (error instanceof InvalidLensError) {
+      throw new InvalidWaToolFileError(error.message);
+    }
+    throw error;
+  }
+};
+
+// Questions are matched by id and then by title, because the Well-Architected Tool's own lens uses
+// other question ids than the catalog
+const matchQuestion = (questions, entry) => questions.find(question => question.question_key === entry.QuestionId) ||
+  (entry.QuestionTitle && questions.find(question => normalizeTitle(question.question_text) === normalizeTitle(entry.QuestionTitle)));
+
+// Choices are matched the same way; titles come from SelectedChoiceTitles of an export or Choices of list-answers
+const matchChoices = (choices, entry) => {
+  const selected = Array.isArray(entry.SelectedChoices) ? entry.SelectedChoices : [];
+  const titles = Array.isArray(entry.SelectedChoiceTitles) ? entry.SelectedChoiceTitles : [];
+  const matched = [];
+  const unmatched = [];
+
+  selected.forEach((choiceId, index) => {
+    const title = titles[index] || (entry.Choices || []).find(choice => choice.ChoiceId === choiceId)?.Title;
+    const choice = choices.find(candidate => candidate.key === choiceId) ||
+      (String(choiceId).endsWith('_no') && choices.find(candidate => candidate.none)) ||
+      (title && choices.find(candidate => normalizeTitle(candidate.title) === normalizeTitle(title)));
+
+    if (choice) {
+      matched.push(choice.key);
+    } else {
+      unmatched.push(choiceId);
+    }
+  });
+
+  try {
+    return { selected: validateSelectedChoices(choices, [...new Set(matched)]), unmatched };
+  } catch (error) {
+    if (!(error instanceof InvalidAnswerError)) {
+      throw error;
+    }
+    // "None of these" next to other choices is dropped, like the Well-Architected Tool does
+    return { selected: [...new Set(matched)].filter(key => !choices.find(choice => choice.key === key).none), unmatched };
+  }
+};
+
+// Finds the tenant's workload of the file by name, or creates it from the file's workload metadata
+const importWorkload = async (metadata, lenses, tenantId) => {
+  const name = metadata?.WorkloadName;
+  if (!name) {
+    return { workload: null, created: false };
+  }
+
+  const existing = (await listWorkloads({ tenantId })).find(workload => workload.name === name.trim());
+  if (existing) {
+    return { workload: existing, created: false };
+  }
+
+  try {
+    const workload = await createWorkload({
+      name,
+      description: metadata.Description ?? null,
+      environment: metadata.Environment,
+      owner: metadata.ReviewOwner ?? null,
+      accountIds: metadata.AccountIds ?? [],
+      regions: metadata.AwsRegions ?? [],
+      tags: metadata.Tags ?? {},
+      lenses: lenses.map(lens => lens.alias)
+    }, tenantId);
+    return { workload, created: true };
+  } catch (error) {
+    if (error instanceof InvalidWorkloadError) {
+      throw new InvalidWaToolFileError(`Workload ${name}: ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+// Turns an export (or list-answers output) into a new review of the caller's tenant with the file's
+// answers, recorded with the imported source. The review belongs to the workload of the same name,
+// which is created when missing. Once every question is answered the final report is generated with
+// reviewService and the file's milestone is saved. Questions and choices that match nothing are
+// reported instead of failing the import.
+export const importWaToolReview = async (file, { tenant, user = null, reviewService }) => {
+  const lensReviews = readLensReviews(file);
+  const lenses = await resolveImportLenses(lensReviews);
+
+  const accountId = [file.source?.accountId, ...(file.workload?.AccountIds || [])]
+    .map(id => id && String(id))
+    .find(id => /^\d{12}$/.test(id || '')) || null;
+  if (accountId) {
+    assertTenantAccounts(tenant, [accountId]);
+  }
+
+  const { workload, created: workloadCreated } = await importWorkload(file.workload, lenses, tenant.tenantId);
+
+  const sessionId = uuidv4();
+  await db.run(
+    'INSERT INTO analysis_sessions (id, tenant_id, analysis_status, account_id, workload_id, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+    [sessionId, tenant.tenantId, 'in_progress', accountId, workload?.workloadId || null, principalName(user)]
+  );
+  await setSessionLenses(sessionId, lenses);
+
+  let imported = 0;
+  const skipped = [];
+  const unmatchedQuestions = [];
+  const unmatchedChoices = [];
+
+  for (const lensReview of lensReviews) {
+    const lens = lenses.find(candidate => candidate.alias === lensReview.alias);
+    const questions = await db.all('SELECT * FROM questions WHERE lens_id = ?', [lens.id]);
+
+    for (const entry of lensReview.answers) {
+      const question = matchQuestion(questions, entry || {});
+      if (!question) {
+        unmatchedQuestions.push({ lens: lensReview.alias, questionId: entry?.QuestionId ?? null, questionTitle: entry?.QuestionTitle ?? null });
+        continue;
+      }
+
+      const { selected, unmatched } = matchChoices(await getQuestionChoices(question.id), entry);
+      if (unmatched.length > 0) {
+        unmatchedChoices.push({ questionKey: question.question_key, choices: unmatched });
+      }
+
+      // The reviewer has no "not applicable" answers, and an answer needs choices or text
+      const notes = typeof entry.Notes === 'string' && entry.Notes.trim() ? entry.Notes.trim() : null;
+      if (entry.IsApplicable === false || (selected.length === 0 && !notes)) {
+        skipped.push({ questionKey: question.question_key, reason: entry.IsApplicable === false ? 'not applicable' : 'unanswered' });
+        continue;
+      }
+
+      await saveAnswer({
+        questionId: question.id,
+        sessionId,
+        answerText: selected.length === 0 ? notes : null,
+        selectedChoices: selected,
+        notes: selected.length > 0 ? notes : null,
+        confidence: 1,
+        source: 'imported',
+        answeredBy: principalName(user)
+      });
+      imported++;
+    }
+  }
+
+  const remainingQuestions = (await reviewService.getUnansweredQuestions(sessionId)).length;
+  const result = {
+    sessionId,
+    workloadId: workload?.workloadId || null,
+    workloadCreated,
+    lenses: lenses.map(lens => ({ alias: lens.alias, version: lens.version })),
+    importedAnswers: imported,
+    remainingQuestions,
+    isComplete: remainingQuestions === 0,
+    milestone: null,
+    skipped,
+    unmatchedQuestions,
+    unmatchedChoices
+  };
+
+  if (result.isComplete) {
+    await reviewService.generateFinalReport(sessionId);
+
+    const milestoneName = file.milestone?.MilestoneName;
+    if (workload && milestoneName) {
+      try {
+        result.milestone = await createMilestone(workload.workloadId, { name: milestoneName, sessionIds: [sessionId] });
+      } catch (error) {
+        // A milestone of that name already exists: the review is imported without one
+        if (!(error instanceof WorkloadConflictError)) {
+          throw error;
+        }
+        result.milestoneError = error.message;
+      }
+    }
+  }
+
+  console.log(`📥 Imported ${imported} answers into review ${sessionId}${workload ? ` of workload ${workload.name}` : ''}`);
+  return result;
+};
@@ -1,4 +1,74 @@
-import db from '../database/init.js';
+import { v4 as uuidv4 } from 'uuid';
+import db, { DEFAULT_TENANT } from '../database/init.js';
+import { DEFAULT_LENS_ALIAS } from '../catalog/index.js';
+import { saveFindings, listFindings } from './findings.js';
+import { getActiveSuppressions } from './suppressions.js';
+import {
+  getQuestionChoices,
+  validateSelectedChoices,
+  sanitizeSelectedChoices,
+  describeSelectedChoices,
+  saveAnswer,
+  listSessionAnswers,
+  summarizeSessionRisks,
+  InvalidAnswerError
+} from './answers.js';
+import { createItemsFromReport, closeResolvedItems, listImprovementItems } from './improvements.js';
+import {
+  findSessionQuestion,
+  getSessionLensIds,
+  getSessionLenses,
+  lensCondition,
+  resolveReviewLenses,
+  setSessionLenses,
+  InvalidLensError
+} from './lenses.js';
+import { getWorkload } from './workloads.js';
+import { publishProgress, progressReporter, recordProgressStep } from './progress.js';
+import { enqueueReviewJob, getReviewJob } from './review-jobs.js';
+import { principalName } from './auth.js';
+import { getSessionTenantId, assertTenantAccounts } from './tenants.js';
+
+const REVIEW_STEPS = [
+  { id: 'initializing', name: 'Initializing Review' },
+  { id: 'aws_analysis', name: 'Analyzing AWS Environment' },
+  { id: 'ai_analysis', name: 'AI Analysis with Bedrock' },
+  { id: 'storing_results', name: 'Storing Analysis Results' },
+  { id: 'preparing_questions', name: 'Preparing Questions' },
+  { id: 'complete', name: 'Review Ready' }
+];
+
+// Raised for review requests that cannot be started as given, so callers can answer 400
+export class InvalidReviewRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidReviewRequestError';
+  }
+}
+
+// Raised when the workload or organizational unit to review does not exist, so callers can answer 404
+export class ReviewTargetNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewTargetNotFoundError';
+  }
+}
+
+// Raised for a session that does not exist, so callers can answer 404
+export class ReviewNotFoundError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} not found`);
+    this.name = 'ReviewNotFoundError';
+  }
+}
+
+// Raised when the report of a review without a final report is read or exported, so callers can answer 409
+export class ReviewNotCompletedError extends Error {
+  constructor(sessionId) {
+    super(`Review ${sessionId} is not completed`);
+    this.name = 'ReviewNotCompletedError';
+  }
+}
 
 export class WellArchitectedReviewService {
   constructor(awsService, bedrockService) {
@@ -7,59 +77,68 @@ export class WellArchitectedReviewService {
   }
 
   async updateProgress(sessionId, step, message, percentage = null) {
-    try {
-      const progressData = {
-        currentStep: step,
-        message: message,
-        percentage: percentage,
-        timestamp: new Date().toISOString(),
-        steps: [
-          { id: 'initializing', name: 'Initializing Review', completed: step >= 1 },
-          { id: 'aws_analysis', name: 'Analyzing AWS Environment', completed: step >= 2 },
-          { id: 'ai_analysis', name: 'AI Analysis with Bedrock', completed: step >= 3 },
-          { id: 'storing_results', name: 'Storing Analysis Results', completed: step >= 4 },
-          { id: 'preparing_questions', name: 'Preparing Questions', completed: step >= 5 },
-          { id: 'complete', name: 'Review Ready', completed: step >= 6 }
-        ]
-      };
-
-      await db.run(
-        'UPDATE analysis_sessions SET progress_data = ? WHERE id = ?',
-        [JSON.stringify(progressData), sessionId]
-      );
-      
-      console.log(`Progress Update [${sessionId}]: Step ${step} - ${message}`);
-    } catch (error) {
-      console.error('Failed to update progress:', error);
-    }
+    await recordProgressStep(sessionId, REVIEW_STEPS, step, message, percentage);
   }
 
-  async startReview(sessionId) {
+  // Runs the automated part of a review. A job passes the outputs of the steps it already finished
+  // (checkpoints, keyed by step) and gets each new one through onCheckpoint, so an interrupted review
+  // resumes where it stopped; throwIfCancelled is called between steps.
+  async startReview(sessionId, options = {}) {
+    const {
+      checkpoints = {},
+      onCheckpoint = async () => {},
+      throwIfCancelled = async () => {}
+    } = options;
+
     try {
       console.log(`🚀 Starting Well-Architected Review for session ${sessionId}`);
 
       // Initialize progress tracking
       await this.updateProgress(sessionId, 1, 'Initializing Well-Architected Review...', 10);
+      const onProgress = progressReporter(sessionId);
 
       // Step 1: Perform comprehensive AWS analysis
-      await this.updateProgress(sessionId, 2, 'Analyzing AWS environment (Cost, IAM, Compute, Security)...', 30);
-      const awsAnalysis = await this.awsService.performComprehensiveAnalysis();
-      
-      if (!awsAnalysis.success) {
-        throw new Error(`AWS analysis failed: ${awsAnalysis.error}`);
+      let awsData = checkpoints.aws_collection;
+      if (!awsData) {
+        await this.updateProgress(sessionId, 2, 'Analyzing AWS environment (Cost, IAM, Compute, Security)...', 30);
+        const awsAnalysis = await this.awsService.performComprehensiveAnalysis({
+          regions: options.regions,
+          suppressions: await getActiveSuppressions(await getSessionTenantId(sessionId)),
+          onProgress
+        });
+
+        if (!awsAnalysis.success) {
+          throw new Error(`AWS analysis failed: ${awsAnalysis.error}`);
+        }
+        awsData = awsAnalysis.data;
+        await onCheckpoint('aws_collection', awsData);
       }
+      await throwIfCancelled();
 
       // Step 2: Let Bedrock Agent analyze AWS data and answer questions automatically
-      await this.updateProgress(sessionId, 3, 'AI analyzing AWS data with Bedrock Agent...', 60);
-      const agentAnalysis = await this.bedrockService.analyzeAWSDataForWellArchitected(awsAnalysis.data);
+      let agentAnalysis = checkpoints.ai_analysis;
+      if (!agentAnalysis) {
+        await this.updateProgress(sessionId, 3, 'AI analyzing AWS data with Bedrock Agent...', 60);
+        agentAnalysis = await this.bedrockService.analyzeAWSDataForWellArchitected(
+          awsData,
+          await this.getQuestionCatalog(sessionId),
+          { onProgress }
+        );
+        await onCheckpoint('ai_analysis', agentAnalysis);
+      }
+      await throwIfCancelled();
 
       // Step 3: Store initial analysis and auto-answered questions
-      await this.updateProgress(sessionId, 4, 'Storing analysis results and auto-answered questions...', 80);
-      await this.storeInitialAnalysis(sessionId, awsAnalysis.data, agentAnalysis);
+      if (!checkpoints.storing_answers) {
+        await this.updateProgress(sessionId, 4, 'Storing analysis results and auto-answered questions...', 80);
+        await this.storeInitialAnalysis(sessionId, awsData, agentAnalysis);
+        await onCheckpoint('storing_answers');
+      }
 
       // Step 4: Identify questions that need user input
       await this.updateProgress(sessionId, 5, 'Preparing interactive questions...', 90);
       const unansweredQuestions = await this.getUnansweredQuestions(sessionId);
+      const nextQuestion = await this.withChoices(unansweredQuestions[0]);
 
       // Step 5: Complete initialization
       await this.updateProgress(sessionId, 6, 'Review ready! Starting interactive questions...', 100);
@@ -68,24 +147,30 @@ export class WellArchitectedReviewService {
       await db.run(
         'UPDATE analysis_sessions SET analysis_status = ?, bedrock_analysis = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
         ['completed', JSON.stringify({ 
-          awsData: awsAnalysis.data, 
+          awsData, 
           agentAnalysis,
           autoAnsweredQuestions: agentAnalysis.autoAnsweredQuestions || 0,
-          totalQuestions: await this.getTotalQuestions(),
+          totalQuestions: await this.getTotalQuestions(sessionId),
           unansweredQuestions: unansweredQuestions.length,
-          nextQuestion: unansweredQuestions.length > 0 ? unansweredQuestions[0] : null
+          nextQuestion
         }), sessionId]
       );
 
       console.log(`✅ Review started. ${agentAnalysis.autoAnsweredQuestions || 0} questions auto-answered, ${unansweredQuestions.length} need user input`);
+      publishProgress(sessionId, 'complete', {
+        stage: 'analysis',
+        autoAnsweredQuestions: agentAnalysis.autoAnsweredQuestions || 0,
+        remainingQuestions: unansweredQuestions.length,
+        nextQuestionKey: nextQuestion?.question_key || null
+      });
 
       return {
         success: true,
         sessionId,
-        awsAnalysis: awsAnalysis.data,
+        awsAnalysis: awsData,
         agentAnalysis,
-        nextQuestion: unansweredQuestions.length > 0 ? unansweredQuestions[0] : null,
-        totalQuestions: await this.getTotalQuestions(),
+        nextQuestion,
+        totalQuestions: await this.getTotalQuestions(sessionId),
         answeredQuestions: agentAnalysis.autoAnsweredQuestions || 0,
         remainingQuestions: unansweredQuestions.length
       };
@@ -97,94 +182,146 @@ export class WellArchitectedReviewService {
   }
 
   async storeInitialAnalysis(sessionId, awsData, agentAnalysis) {
-    // Store AWS analysis data
+    // Store AWS analysis data (the session row already exists and keeps its account scope)
     await db.run(
-      'INSERT OR REPLACE INTO analysis_sessions (id, analysis_status, bedrock_analysis, progress_data, created_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
-      [sessionId, 'in_progress', JSON.stringify({ awsData, agentAnalysis }), null]
+      'UPDATE analysis_sessions SET analysis_status = ?, bedrock_analysis = ?, account_id = COALESCE(account_id, ?) WHERE id = ?',
+      ['in_progress', JSON.stringify({ awsData, agentAnalysis }), awsData.accountId || null, sessionId]
     );
 
+    // Suppressed findings are stored too, so they show up again once their acceptance expires
+    await saveFindings(sessionId, [...(awsData.findings || []), ...(awsData.suppressedFindings || [])]);
+
+    // Improvement items of earlier reviews whose findings are gone are done
+    await closeResolvedItems(sessionId, awsData);
+
     // Store auto-answered questions
     if (agentAnalysis.autoAnswers) {
       for (const answer of agentAnalysis.autoAnswers) {
-        const question = await db.get(
-          'SELECT id FROM questions WHERE question_key = ?',
-          [answer.questionKey]
-        );
+        const question = await findSessionQuestion(sessionId, answer.questionKey);
 
         if (question) {
-          await db.run(
-            `INSERT OR REPLACE INTO answers (question_id, session_id, answer_text, confidence_score, source, created_at) 
-             VALUES (?, ?, ?, ?, 'agent', CURRENT_TIMESTAMP)`,
-            [question.id, sessionId, answer.answer, answer.confidence]
-          );
+          await saveAnswer({
+            questionId: question.id,
+            sessionId,
+            answerText: answer.answer,
+            selectedChoices: sanitizeSelectedChoices(await getQuestionChoices(question.id), answer.selectedChoices),
+            confidence: answer.confidence,
+            source: 'agent'
+          });
         }
       }
     }
   }
 
+  // Compact question list of the session's lenses with choice ids, so the agent can answer in terms of the catalog
+  async getQuestionCatalog(sessionId) {
+    const condition = lensCondition(await getSessionLensIds(sessionId));
+    const questions = await db.all(`
+      SELECT q.id, q.question_key, q.question_text, p.name as pillar_name
+      FROM questions q
+      JOIN pillars p ON q.pillar_id = p.id
+      WHERE ${condition.sql}
+      ORDER BY q.lens_id, q.position, q.id
+    `, condition.params);
+
+    for (const question of questions) {
+      question.choices = (await getQuestionChoices(question.id)).map(choice => ({ key: choice.key, title: choice.title }));
+    }
+
+    return questions;
+  }
+
+  async withChoices(question) {
+    if (!question) {
+      return null;
+    }
+    return { ...question, choices: await getQuestionChoices(question.id) };
+  }
+
   async getUnansweredQuestions(sessionId) {
+    const condition = lensCondition(await getSessionLensIds(sessionId));
     const unansweredQuestions = await db.all(`
-      SELECT q.id, q.question_key, q.question_text, q.category, p.name as pillar_name
+      SELECT q.id, q.question_key, q.question_text, q.description, q.category, q.helpful_resource_url,
+             p.name as pillar_name, l.alias as lens_alias
       FROM questions q
       JOIN pillars p ON q.pillar_id = p.id
+      JOIN lenses l ON q.lens_id = l.id
       LEFT JOIN answers a ON q.id = a.question_id AND a.session_id = ?
-      WHERE a.id IS NULL
-      ORDER BY q.priority DESC, q.id ASC
-    `, [sessionId]);
+      WHERE a.id IS NULL AND ${condition.sql}
+      ORDER BY q.priority DESC, q.lens_id ASC, q.position ASC, q.id ASC
+    `, [sessionId, ...condition.params]);
 
     return unansweredQuestions;
   }
 
-  async getTotalQuestions() {
-    const result = await db.get('SELECT COUNT(*) as count FROM questions');
+  async getTotalQuestions(sessionId) {
+    const condition = lensCondition(await getSessionLensIds(sessionId));
+    const result = await db.get(`SELECT COUNT(*) as count FROM questions q WHERE ${condition.sql}`, condition.params);
     return result.count;
   }
 
-  async submitUserAnswer(sessionId, questionKey, userAnswer) {
+  // An answer is free text, a selection of the question's choices, or both, plus optional notes
+  async submitUserAnswer(sessionId, questionKey, userAnswer, { selectedChoices = [], notes = null, answeredBy = null } = {}) {
     try {
       console.log(`📝 Processing user answer for question ${questionKey}`);
 
-      // Get the question
-      const question = await db.get(
-        'SELECT * FROM questions WHERE question_key = ?',
-        [questionKey]
-      );
+      // Get the question; keys of lenses the review does not cover are not found either
+      const question = await findSessionQuestion(sessionId, questionKey);
 
       if (!question) {
-        throw new Error(`Question ${questionKey} not found`);
+        throw new InvalidAnswerError(`Question ${questionKey} is not part of this review`);
+      }
+
+      const choices = await getQuestionChoices(question.id);
+      const selected = validateSelectedChoices(choices, selectedChoices);
+      if (!userAnswer && selected.length === 0) {
+        throw new InvalidAnswerError('An answer needs free text or at least one selected choice');
       }
 
       // Let the agent analyze the user's answer and potentially map it to multiple questions
-      const agentAnalysis = await this.bedrockService.analyzeUserAnswer(userAnswer, questionKey, sessionId);
+      const answerForAgent = userAnswer || `Selected best practices: ${describeSelectedChoices(choices, selected)}`;
+      const agentAnalysis = await this.bedrockService.analyzeUserAnswer(answerForAgent, questionKey, sessionId, {
+        onProgress: progressReporter(sessionId)
+      });
 
       // Store the primary answer
-      await db.run(
-        `INSERT OR REPLACE INTO answers (question_id, session_id, answer_text, confidence_score, source, created_at) 
-         VALUES (?, ?, ?, ?, 'user', CURRENT_TIMESTAMP)`,
-        [question.id, sessionId, userAnswer, 0.9]
-      );
+      const { risk } = await saveAnswer({
+        questionId: question.id,
+        sessionId,
+        answerText: userAnswer || null,
+        selectedChoices: selected,
+        notes,
+        confidence: 0.9,
+        source: 'user',
+        answeredBy
+      });
 
       // Store any additional answers the agent derived
       if (agentAnalysis.additionalAnswers) {
         for (const additionalAnswer of agentAnalysis.additionalAnswers) {
-          const relatedQuestion = await db.get(
-            'SELECT id FROM questions WHERE question_key = ?',
-            [additionalAnswer.questionKey]
+          const relatedQuestion = await findSessionQuestion(sessionId, additionalAnswer.questionKey);
+
+          // A derived answer never overwrites one the user gave or imported
+          const existing = relatedQuestion && await db.get(
+            'SELECT source FROM answers WHERE question_id = ? AND session_id = ?',
+            [relatedQuestion.id, sessionId]
           );
 
-          if (relatedQuestion) {
-            await db.run(
-              `INSERT OR REPLACE INTO answers (question_id, session_id, answer_text, confidence_score, source, created_at) 
-               VALUES (?, ?, ?, ?, 'agent_derived', CURRENT_TIMESTAMP)`,
-              [relatedQuestion.id, sessionId, additionalAnswer.answer, additionalAnswer.confidence]
-            );
+          if (relatedQuestion && !['user', 'imported'].includes(existing?.source)) {
+            await saveAnswer({
+              questionId: relatedQuestion.id,
+              sessionId,
+              answerText: additionalAnswer.answer,
+              confidence: additionalAnswer.confidence,
+              source: 'agent_derived'
+            });
           }
         }
       }
 
       // Get next unanswered question
       const unansweredQuestions = await this.getUnansweredQuestions(sessionId);
-      const nextQuestion = unansweredQuestions.length > 0 ? unansweredQuestions[0] : null;
+      const nextQuestion = await this.withChoices(unansweredQuestions[0]);
 
       // If all questions are answered, generate final report
       if (!nextQuestion) {
@@ -195,10 +332,11 @@ export class WellArchitectedReviewService {
 
       return {
         success: true,
+        risk,
         additionalAnswersCount: agentAnalysis.additionalAnswers?.length || 0,
         nextQuestion,
-        totalQuestions: await this.getTotalQuestions(),
-        answeredQuestions: (await this.getTotalQuestions()) - unansweredQuestions.length,
+        totalQuestions: await this.getTotalQuestions(sessionId),
+        answeredQuestions: (await this.getTotalQuestions(sessionId)) - unansweredQuestions.length,
         isComplete: !nextQuestion
       };
 
@@ -213,15 +351,7 @@ export class WellArchitectedReviewService {
       console.log(`📊 Generating final Well-Architected report for session ${sessionId}`);
 
       // Get all answers for this session
-      const answers = await db.all(`
-        SELECT q.question_key, q.question_text, q.category, p.name as pillar_name, 
-               a.answer_text, a.confidence_score, a.source
-        FROM answers a
-        JOIN questions q ON a.question_id = q.id
-        JOIN pillars p ON q.pillar_id = p.id
-        WHERE a.session_id = ?
-        ORDER BY p.name, q.category, q.id
-      `, [sessionId]);
+      const answers = await listSessionAnswers(sessionId);
 
       // Get AWS analysis data
       const session = await db.get(
@@ -232,7 +362,11 @@ export class WellArchitectedReviewService {
       const sessionData = JSON.parse(session.bedrock_analysis || '{}');
 
       // Generate comprehensive report using Bedrock Agent
-      const finalReport = await this.bedrockService.generateWellArchitectedReport(answers, sessionData.awsData);
+      // Suppressions are re-read so decisions made (or expired) since the review started are honoured
+      const finalReport = await this.bedrockService.generateWellArchitectedReport(answers, sessionData.awsData, {
+        suppressions: await getActiveSuppressions(await getSessionTenantId(sessionId)),
+        onProgress: progressReporter(sessionId)
+      });
 
       // Update session with final report
       await db.run(
@@ -240,6 +374,8 @@ export class WellArchitectedReviewService {
         ['completed', JSON.stringify(finalReport), sessionId]
       );
 
+      await createItemsFromReport(sessionId, finalReport);
+
       console.log('✅ Final Well-Architected report generated');
 
       return finalReport;
@@ -261,25 +397,32 @@ export class WellArchitectedReviewService {
         throw new Error('Session not found');
       }
 
-      const totalQuestions = await this.getTotalQuestions();
+      const totalQuestions = await this.getTotalQuestions(sessionId);
+      const condition = lensCondition(await getSessionLensIds(sessionId));
       const answeredQuestions = await db.get(`
         SELECT COUNT(*) as count 
         FROM answers a
         JOIN questions q ON a.question_id = q.id
-        WHERE a.session_id = ?
-      `, [sessionId]);
+        WHERE a.session_id = ? AND ${condition.sql}
+      `, [sessionId, ...condition.params]);
 
       const unansweredQuestions = await this.getUnansweredQuestions(sessionId);
 
       return {
         sessionId,
+        accountId: session.account_id,
+        workloadId: session.workload_id,
+        createdBy: session.created_by,
+        lenses: await getSessionLenses(sessionId),
         status: session.analysis_status,
+        job: await getReviewJob(sessionId),
         totalQuestions,
         answeredQuestions: answeredQuestions.count,
         remainingQuestions: unansweredQuestions.length,
-        nextQuestion: unansweredQuestions.length > 0 ? unansweredQuestions[0] : null,
+        nextQuestion: await this.withChoices(unansweredQuestions[0]),
         isComplete: session.analysis_status === 'completed',
-        progress: Math.round((answeredQuestions.count / totalQuestions) * 100)
+        progress: Math.round((answeredQuestions.count / totalQuestions) * 100),
+        risks: await summarizeSessionRisks(sessionId)
       };
 
     } catch (error) {
@@ -291,28 +434,31 @@ export class WellArchitectedReviewService {
   async getFinalReport(sessionId) {
     try {
       const session = await db.get(
-        'SELECT recommendations, bedrock_analysis FROM analysis_sessions WHERE id = ? AND analysis_status = "completed"',
+        'SELECT analysis_status, recommendations, bedrock_analysis, account_id, workload_id, created_by FROM analysis_sessions WHERE id = ?',
         [sessionId]
       );
 
       if (!session) {
-        throw new Error('Completed session not found');
+        throw new ReviewNotFoundError(sessionId);
+      }
+      // Automated collection marks the review completed before its questions are answered
+      if (session.analysis_status !== 'completed' || !session.recommendations) {
+        throw new ReviewNotCompletedError(sessionId);
       }
 
-      const answers = await db.all(`
-        SELECT q.question_key, q.question_text, q.category, p.name as pillar_name, 
-               a.answer_text, a.confidence_score, a.source
-        FROM answers a
-        JOIN questions q ON a.question_id = q.id
-        JOIN pillars p ON q.pillar_id = p.id
-        WHERE a.session_id = ?
-        ORDER BY p.name, q.category, q.id
-      `, [sessionId]);
+      const answers = await listSessionAnswers(sessionId);
 
       return {
         sessionId,
-        report: JSON.parse(session.recommendations || '{}'),
+        accountId: session.account_id,
+        workloadId: session.workload_id,
+        createdBy: session.created_by,
+        lenses: await getSessionLenses(sessionId),
+        report: JSON.parse(session.recommendations),
         answers,
+        risks: await summarizeSessionRisks(sessionId),
+        findings: await listFindings({ sessionId }),
+        improvements: await listImprovementItems({ sessionId }),
         awsAnalysis: JSON.parse(session.bedrock_analysis || '{}').awsData
       };
 
@@ -321,4 +467,120 @@ export class WellArchitectedReviewService {
       throw error;
     }
   }
-} 
\ No newline at end of file
+}
+
+// Creates one session per target account and queues a background job to review each of them.
+// Optionally targets other accounts (accountId, accountIds or organizationalUnitId) through an assumable role.
+// lenses lists the aliases the review covers (default: the framework only). With a workloadId the review
+// belongs to that workload, whose accounts, regions and lenses fill in what the request leaves out.
+// The sessions are recorded as created by user, the authenticated caller.
+// Targets fall back from the request to the workload and then to the tenant's AWS configuration.
+// A tenant can only review the accounts configured for it (see assertTenantAccounts).
+export const startReviews = async (request, { awsService, config, logger, user = null, tenant = null }) => {
+  const { accountId, organizationalUnitId, roleName, externalId, workloadId } = request;
+  const tenantId = tenant?.tenantId ?? DEFAULT_TENANT;
+
+  const workload = workloadId ? await getWorkload(workloadId, tenantId) : null;
+  if (workloadId && !workload) {
+    throw new ReviewTargetNotFoundError(`Workload ${workloadId} not found`);
+  }
+
+  const explicitTarget = accountId || organizationalUnitId;
+  const regions = request.regions ??
+    (workload?.regions.length > 0 ? workload.regions : tenant?.aws.regions.length > 0 ? tenant.aws.regions : undefined);
+  const accountIds = request.accountIds ?? (explicitTarget ? undefined :
+    workload?.accountIds.length > 0 ? workload.accountIds : tenant?.aws.accountIds.length > 0 ? tenant.aws.accountIds : undefined);
+  const lensAliases = request.lenses ?? workload?.lenses ?? [DEFAULT_LENS_ALIAS];
+
+  if (regions !== undefined && regions !== 'all' && !(Array.isArray(regions) && regions.every(region => typeof region === 'string'))) {
+    throw new InvalidReviewRequestError('Regions must be an array of region names or "all"');
+  }
+
+  if (!Array.isArray(lensAliases) || lensAliases.length === 0 || !lensAliases.every(alias => typeof alias === 'string')) {
+    throw new InvalidReviewRequestError('Lenses must be a non-empty array of lens aliases');
+  }
+
+  let lenses;
+  try {
+    lenses = await resolveReviewLenses(lensAliases);
+  } catch (error) {
+    if (error instanceof InvalidLensError) {
+      throw new InvalidReviewRequestError(error.message);
+    }
+    throw error;
+  }
+
+  const requestedAccounts = [...(accountId ? [accountId] : []), ...(Array.isArray(accountIds) ? accountIds : [])];
+  if ((accountIds !== undefined && !Array.isArray(accountIds)) || requestedAccounts.some(id => !/^\d{12}$/.test(String(id)))) {
+    throw new InvalidReviewRequestError('Account IDs must be 12-digit AWS account numbers');
+  }
+
+  const assumeRoleName = roleName || tenant?.aws.roleName || config.aws.reviewRoleName;
+  if ((requestedAccounts.length > 0 || organizationalUnitId) && !assumeRoleName) {
+    throw new InvalidReviewRequestError('A role name (roleName or AWS_REVIEW_ROLE_NAME) is required for cross-account reviews');
+  }
+
+  const targetAccounts = [...new Set(requestedAccounts.map(String))];
+  if (tenant) {
+    assertTenantAccounts(tenant, targetAccounts);
+  }
+
+  if (organizationalUnitId) {
+    // An organizational unit only contributes the accounts the tenant may review
+    const ouAccounts = await awsService.listOrganizationAccounts(organizationalUnitId);
+    ouAccounts
+      .filter(account => !tenant || tenant.aws.accountIds.length === 0 || tenant.aws.accountIds.includes(account.accountId))
+      .forEach(account => {
+        if (!targetAccounts.includes(account.accountId)) {
+          targetAccounts.push(account.accountId);
+        }
+      });
+
+    if (targetAccounts.length === 0) {
+      throw new ReviewTargetNotFoundError(`No active accounts found under ${organizationalUnitId}`);
+    }
+  }
+
+  // Without a target the review covers the account of the configured credentials
+  const sessions = targetAccounts.length > 0 ?
+    targetAccounts.map(id => ({ sessionId: uuidv4(), accountId: id, crossAccount: true })) :
+    [{ sessionId: uuidv4(), accountId: await getOwnAccountId(awsService, logger), crossAccount: false }];
+
+  for (const session of sessions) {
+    logger.info(`🚀 Starting Well-Architected Review session ${session.sessionId}${session.accountId ? ` for account ${session.accountId}` : ''}`);
+    await db.run(
+      'INSERT INTO analysis_sessions (id, tenant_id, analysis_status, account_id, workload_id, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+      [session.sessionId, tenantId, 'processing', session.accountId, workload?.workloadId || null, principalName(user)]
+    );
+    await setSessionLenses(session.sessionId, lenses);
+  }
+
+  // Workers run the reviews from the job queue, a limited number at a time
+  for (const session of sessions) {
+    await enqueueReviewJob(session.sessionId, {
+      regions,
+      crossAccount: session.crossAccount,
+      accountId: session.accountId,
+      roleName: assumeRoleName,
+      externalId: externalId || tenant?.aws.externalId || config.aws.reviewExternalId
+    });
+  }
+
+  return {
+    sessionId: sessions[0].sessionId,
+    accountId: sessions[0].accountId,
+    workloadId: workload?.workloadId || null,
+    sessions: sessions.map(({ sessionId, accountId }) => ({ sessionId, accountId })),
+    lenses: lenses.map(({ alias, version }) => ({ alias, version })),
+    status: 'processing'
+  };
+};
+
+async function getOwnAccountId(awsService, logger) {
+  try {
+    return await awsService.getAccountId();
+  } catch (error) {
+    logger.warn(`Could not resolve AWS account ID: ${error.message}`);
+    return null;
+  }
+}
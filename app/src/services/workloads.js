@@ -0,0 +1,329 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/init.js';
+import { DEFAULT_LENS_ALIAS } from '../catalog/index.js';
+import { resolveReviewLenses, InvalidLensError } from './lenses.js';
+import { listSessionQuestionRisks, summarizeRisks } from './answers.js';
+
+// Same values as the Well-Architected Tool
+export const WORKLOAD_ENVIRONMENTS = ['PRODUCTION', 'PREPRODUCTION'];
+
+// Raised for workload input that cannot be stored, so routes can answer 400
+export class InvalidWorkloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWorkloadError';
+  }
+}
+
+// Raised for duplicate names or deletes that would orphan reviews, so routes can answer 409
+export class WorkloadConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkloadConflictError';
+  }
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// Checks the fields present in input; on create, name and environment are required and the rest get defaults
+const validateWorkload = async (input, { create }) => {
+  const fields = {};
+
+  if (create || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new InvalidWorkloadError('name is required');
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (create || input.environment !== undefined) {
+    if (!WORKLOAD_ENVIRONMENTS.includes(input.environment)) {
+      throw new InvalidWorkloadError(`environment must be one of: ${WORKLOAD_ENVIRONMENTS.join(', ')}`);
+    }
+    fields.environment = input.environment;
+  }
+
+  ['description', 'owner'].forEach(field => {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        throw new InvalidWorkloadError(`${field} must be a string`);
+      }
+      fields[field] = input[field]?.trim() || null;
+    }
+  });
+
+  if (create || input.accountIds !== undefined) {
+    const accountIds = input.accountIds ?? [];
+    if (!Array.isArray(accountIds) || accountIds.some(id => !/^\d{12}$/.test(String(id)))) {
+      throw new InvalidWorkloadError('accountIds must be 12-digit AWS account numbers');
+    }
+    fields.account_ids = JSON.stringify([...new Set(accountIds.map(String))]);
+  }
+
+  if (create || input.regions !== undefined) {
+    const regions = input.regions ?? [];
+    if (!isStringArray(regions)) {
+      throw new InvalidWorkloadError('regions must be an array of region names');
+    }
+    fields.regions = JSON.stringify([...new Set(regions)]);
+  }
+
+  if (create || input.tags !== undefined) {
+    const tags = input.tags ?? {};
+    if (typeof tags !== 'object' || Array.isArray(tags) || Object.values(tags).some(value => typeof value !== 'string')) {
+      throw new InvalidWorkloadError('tags must be an object of string values');
+    }
+    fields.tags = JSON.stringify(tags);
+  }
+
+  if (create || input.lenses !== undefined) {
+    const lenses = input.lenses ?? [DEFAULT_LENS_ALIAS];
+    if (!isStringArray(lenses) || lenses.length === 0) {
+      throw new InvalidWorkloadError('lenses must be a non-empty array of lens aliases');
+    }
+    try {
+      await resolveReviewLenses(lenses);
+    } catch (error) {
+      if (error instanceof InvalidLensError) {
+        throw new InvalidWorkloadError(error.message);
+      }
+      throw error;
+    }
+    fields.lenses = JSON.stringify([...new Set(lenses)]);
+  }
+
+  return fields;
+};
+
+const assertNameAvailable = async (name, tenantId, workloadId = null) => {
+  const existing = await db.get(
+    'SELECT id FROM workloads WHERE name = ? AND tenant_id = ? AND id != ?',
+    [name, tenantId, workloadId || '']
+  );
+  if (existing) {
+    throw new WorkloadConflictError(`A workload named ${name} already exists`);
+  }
+};
+
+// Workloads belong to a tenant; names are unique within it
+export const createWorkload = async (input, tenantId) => {
+  const fields = await validateWorkload(input, { create: true });
+  await assertNameAvailable(fields.name, tenantId);
+
+  const workloadId = uuidv4();
+  await db.run(
+    `INSERT INTO workloads (id, tenant_id, name, description, owner, environment, account_ids, regions, tags, lenses)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      workloadId, tenantId, fields.name, fields.description ?? null, fields.owner ?? null, fields.environment,
+      fields.account_ids, fields.regions, fields.tags, fields.lenses
+    ]
+  );
+
+  return getWorkload(workloadId, tenantId);
+};
+
+export const listWorkloads = async ({ tenantId, owner, environment } = {}) => {
+  const conditions = ['w.tenant_id = ?'];
+  const params = [tenantId];
+  if (owner) {
+    conditions.push('w.owner = ?');
+    params.push(owner);
+  }
+  if (environment) {
+    conditions.push('w.environment = ?');
+    params.push(environment);
+  }
+
+  const rows = await db.all(`
+    SELECT w.*,
+           (SELECT COUNT(*) FROM analysis_sessions s WHERE s.workload_id = w.id) AS review_count,
+           (SELECT COUNT(*) FROM milestones m WHERE m.workload_id = w.id) AS milestone_count
+    FROM workloads w
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY w.name
+  `, params);
+
+  return rows.map(toWorkload);
+};
+
+// Later workload functions take a workloadId already read through getWorkload with the caller's tenant
+export const getWorkload = async (workloadId, tenantId) => {
+  const row = await db.get(`
+    SELECT w.*,
+           (SELECT COUNT(*) FROM analysis_sessions s WHERE s.workload_id = w.id) AS review_count,
+           (SELECT COUNT(*) FROM milestones m WHERE m.workload_id = w.id) AS milestone_count
+    FROM workloads w
+    WHERE w.id = ? AND w.tenant_id = ?
+  `, [workloadId, tenantId]);
+  return row ? toWorkload(row) : null;
+};
+
+// Returns null when the tenant has no such workload
+export const updateWorkload = async (workloadId, changes, tenantId) => {
+  if (!await getWorkload(workloadId, tenantId)) {
+    return null;
+  }
+
+  const fields = await validateWorkload(changes, { create: false });
+  if (fields.name) {
+    await assertNameAvailable(fields.name, tenantId, workloadId);
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length > 0) {
+    await db.run(
+      `UPDATE workloads SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), workloadId]
+    );
+  }
+
+  return getWorkload(workloadId, tenantId);
+};
+
+// Reviews and milestones are history, so only a workload without them can be deleted.
+// Returns false when the tenant has no such workload.
+export const deleteWorkload = async (workloadId, tenantId) => {
+  const workload = await getWorkload(workloadId, tenantId);
+  if (!workload) {
+    return false;
+  }
+  if (workload.reviewCount > 0 || workload.milestoneCount > 0) {
+    throw new WorkloadConflictError(`Workload ${workload.name} has reviews or milestones and cannot be deleted`);
+  }
+
+  await db.run('DELETE FROM workloads WHERE id = ?', [workloadId]);
+  return true;
+};
+
+export const listWorkloadReviews = async (workloadId) => {
+  const rows = await db.all(`
+    SELECT id, account_id, analysis_status, created_at, updated_at
+    FROM analysis_sessions
+    WHERE workload_id = ?
+    ORDER BY created_at DESC, rowid DESC
+  `, [workloadId]);
+
+  return rows.map(row => ({
+    sessionId: row.id,
+    accountId: row.account_id,
+    status: row.analysis_status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }));
+};
+
+// Saves completed reviews of the workload as the next milestone. Without sessionIds the latest
+// completed review of each account is used.
+export const createMilestone = async (workloadId, { name, sessionIds } = {}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new InvalidWorkloadError('A milestone needs a name');
+  }
+  if (sessionIds !== undefined && (!isStringArray(sessionIds) || sessionIds.length === 0)) {
+    throw new InvalidWorkloadError('sessionIds must be a non-empty array of review session IDs');
+  }
+
+  const completed = await db.all(`
+    SELECT id, account_id FROM analysis_sessions
+    WHERE workload_id = ? AND analysis_status = 'completed'
+    ORDER BY created_at DESC, rowid DESC
+  `, [workloadId]);
+
+  let sessions;
+  if (sessionIds) {
+    const unknown = sessionIds.filter(sessionId => !completed.some(session => session.id === sessionId));
+    if (unknown.length > 0) {
+      throw new InvalidWorkloadError(`Not completed reviews of this workload: ${unknown.join(', ')}`);
+    }
+    sessions = completed.filter(session => sessionIds.includes(session.id));
+  } else {
+    sessions = completed.filter((session, index) =>
+      completed.findIndex(candidate => candidate.account_id === session.account_id) === index);
+  }
+
+  if (sessions.length === 0) {
+    throw new InvalidWorkloadError('The workload has no completed review to save as a milestone');
+  }
+
+  const milestoneName = name.trim();
+  if (await db.get('SELECT id FROM milestones WHERE workload_id = ? AND name = ?', [workloadId, milestoneName])) {
+    throw new WorkloadConflictError(`A milestone named ${milestoneName} already exists for this workload`);
+  }
+
+  const questionRisks = [];
+  for (const session of sessions) {
+    const risks = await listSessionQuestionRisks(session.id);
+    questionRisks.push(...risks.map(risk => ({ sessionId: session.id, accountId: session.account_id, ...risk })));
+  }
+
+  const milestoneNumber = await db.transaction(async () => {
+    const { next } = await db.get(
+      'SELECT COALESCE(MAX(milestone_number), 0) + 1 AS next FROM milestones WHERE workload_id = ?',
+      [workloadId]
+    );
+    const { id: milestoneId } = await db.run(
+      `INSERT INTO milestones (tenant_id, workload_id, milestone_number, name, risk_summary, question_risks)
+       SELECT tenant_id, id, ?, ?, ?, ? FROM workloads WHERE id = ?`,
+      [next, milestoneName, JSON.stringify(summarizeRisks(questionRisks)), JSON.stringify(questionRisks), workloadId]
+    );
+    for (const session of sessions) {
+      await db.run('INSERT INTO milestone_sessions (milestone_id, session_id) VALUES (?, ?)', [milestoneId, session.id]);
+    }
+    return next;
+  });
+
+  console.log(`🏁 Milestone ${milestoneNumber} (${milestoneName}) saved for workload ${workloadId}`);
+  return getMilestone(workloadId, milestoneNumber);
+};
+
+export const listMilestones = async (workloadId) => {
+  const rows = await db.all(
+    'SELECT * FROM milestones WHERE workload_id = ? ORDER BY milestone_number',
+    [workloadId]
+  );
+  return Promise.all(rows.map(row => toMilestone(row)));
+};
+
+// The detail view adds the risk of every question at the time of the milestone
+export const getMilestone = async (workloadId, milestoneNumber) => {
+  const row = await db.get(
+    'SELECT * FROM milestones WHERE workload_id = ? AND milestone_number = ?',
+    [workloadId, milestoneNumber]
+  );
+  return row ? toMilestone(row, { withQuestionRisks: true }) : null;
+};
+
+const toMilestone = async (row, { withQuestionRisks = false } = {}) => {
+  const sessions = await db.all(`
+    SELECT s.id, s.account_id
+    FROM milestone_sessions ms
+    JOIN analysis_sessions s ON ms.session_id = s.id
+    WHERE ms.milestone_id = ?
+    ORDER BY s.account_id
+  `, [row.id]);
+
+  return {
+    milestoneNumber: row.milestone_number,
+    name: row.name,
+    sessions: sessions.map(session => ({ sessionId: session.id, accountId: session.account_id })),
+    risks: JSON.parse(row.risk_summary),
+    ...(withQuestionRisks ? { questionRisks: JSON.parse(row.question_risks) } : {}),
+    createdAt: row.created_at
+  };
+};
+
+const toWorkload = (row) => ({
+  workloadId: row.id,
+  name: row.name,
+  description: row.description,
+  owner: row.owner,
+  environment: row.environment,
+  accountIds: JSON.parse(row.account_ids || '[]'),
+  regions: JSON.parse(row.regions || '[]'),
+  tags: JSON.parse(row.tags || '{}'),
+  lenses: JSON.parse(row.lenses || '[]'),
+  reviewCount: row.review_count,
+  milestoneCount: row.milestone_count,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
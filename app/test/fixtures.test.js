@@ -0,0 +1,63 @@
+// Records calls against a fake client that answers with a real-looking account ID, then replays them the way a
+// collector would: follow-up calls reuse IDs taken from the (scrubbed) replayed responses.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FixtureStore } from '../src/services/fixtures.js';
+
+const ACCOUNT_ID = '210987654321';
+const QUEUE_URL = `https://sqs.us-east-1.amazonaws.com/${ACCOUNT_ID}/orders`;
+
+class ListQueuesCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+class GetQueueAttributesCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+class SQSClient {
+  async send(command) {
+    if (command instanceof ListQueuesCommand) {
+      return { QueueUrls: [QUEUE_URL] };
+    }
+    assert.equal(command.input.QueueUrl, QUEUE_URL);
+    return { Attributes: { QueueArn: `arn:aws:sqs:us-east-1:${ACCOUNT_ID}:orders`, SqsManagedSseEnabled: 'true' } };
+  }
+}
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'waar-fixtures-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const listQueueAttributes = async (client) => {
+  const { QueueUrls } = await client.send(new ListQueuesCommand({}));
+  return client.send(new GetQueueAttributesCommand({ QueueUrl: QueueUrls[0], AttributeNames: ['All'] }));
+};
+
+test('fixtures recorded from a real account replay with the scrubbed account ID', async () => {
+  const recorder = new FixtureStore({ mode: 'record', directory }).wrapClient(new SQSClient(), { region: 'us-east-1' });
+  await listQueueAttributes(recorder);
+
+  const recorded = fs.readdirSync(path.join(directory, 'sqs', 'us-east-1'))
+    .map(file => fs.readFileSync(path.join(directory, 'sqs', 'us-east-1', file), 'utf8'))
+    .join('\n');
+  assert.ok(!recorded.includes(ACCOUNT_ID), recorded);
+
+  const player = new FixtureStore({ mode: 'replay', directory }).wrapClient(new SQSClient(), { region: 'us-east-1' });
+  const { Attributes } = await listQueueAttributes(player);
+  assert.equal(Attributes.QueueArn, 'arn:aws:sqs:us-east-1:123456789012:orders');
+  assert.equal(Attributes.SqsManagedSseEnabled, 'true');
+});
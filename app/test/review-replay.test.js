@@ -0,0 +1,162 @@
+// Runs a review end to end against the committed sample account (fixtures/default): the server replays
+// every AWS and Bedrock call from disk, so the test needs no credentials or network.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const APP_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const API_KEY = 'replay-test-admin-key';
+const STARTUP_TIMEOUT_MS = 60000;
+
+let server;
+let serverOutput = '';
+let dataDir;
+let baseUrl;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const request = async (method, url, body) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'X-API-Key': API_KEY, ...(body && { 'Content-Type': 'application/json' }) },
+    body: body && JSON.stringify(body)
+  });
+  const text = await response.text();
+  const json = response.headers.get('content-type')?.includes('application/json') ? JSON.parse(text) : null;
+  return { status: response.status, headers: response.headers, text, json };
+};
+
+const waitForServer = async () => {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      throw new Error(`Server exited with ${server.exitCode}:\n${serverOutput}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Server did not start within ${STARTUP_TIMEOUT_MS} ms:\n${serverOutput}`);
+};
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'waar-replay-'));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN, ...env } = process.env;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: APP_DIR,
+    env: {
+      ...env,
+      FIXTURE_MODE: 'replay',
+      FIXTURE_DIR: path.join(APP_DIR, 'fixtures/default'),
+      DATABASE_PATH: path.join(dataDir, 'well_architected.db'),
+      AUTH_MODE: 'enabled',
+      AUTH_ADMIN_API_KEY: API_KEY,
+      AWS_REGIONS: 'us-east-1',
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      NODE_ENV: 'test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const capture = chunk => {
+    serverOutput = (serverOutput + chunk).slice(-20000);
+  };
+  server.stdout.on('data', capture);
+  server.stderr.on('data', capture);
+
+  await waitForServer();
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a replayed review collects findings, answers questions and produces the final report', { timeout: 240000 }, async () => {
+  const started = await request('POST', '/api/review/start', {});
+  assert.equal(started.status, 200, started.text);
+  const { sessionId } = started.json;
+
+  // The stream ends once the review job has finished
+  const events = await request('GET', `/api/review/${sessionId}/events`);
+  const eventTypes = [...events.text.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+  assert.equal(eventTypes[0], 'snapshot');
+  assert.ok(eventTypes.includes('collector'), events.text);
+  assert.ok(eventTypes.includes('complete'), events.text);
+
+  let status = await request('GET', `/api/review/${sessionId}/status`);
+  assert.equal(status.status, 200, status.text);
+  assert.equal(status.json.job.status, 'completed');
+  assert.ok(status.json.remainingQuestions > 0);
+
+  // Every collector reports through the rules; these fire on the sample account
+  const findings = await request('GET', `/api/findings?sessionId=${sessionId}`);
+  assert.equal(findings.status, 200, findings.text);
+  const types = new Set(findings.json.findings.map(finding => finding.type));
+  for (const type of ['s3-bucket-public-policy', 'rds-storage-unencrypted', 'lambda-runtime-deprecated',
+    'sg-ingress-open-sensitive-ports', 'root-account-activity', 'console-login-without-mfa']) {
+    assert.ok(types.has(type), `missing finding ${type}`);
+  }
+
+  // Without a final report there is nothing to download yet
+  assert.equal((await request('GET', `/api/review/${sessionId}/report`)).status, 409);
+  assert.equal((await request('GET', `/api/review/${sessionId}/report?format=markdown`)).status, 409);
+  assert.equal((await request('GET', `/api/review/${sessionId}/export/wa-tool`)).status, 409);
+
+  const unknownQuestion = await request('POST', `/api/review/${sessionId}/answer`, { questionKey: 'NOPE99', answer: 'Yes' });
+  assert.equal(unknownQuestion.status, 400, unknownQuestion.text);
+
+  while (status.json.nextQuestion) {
+    const { question_key: questionKey, choices } = status.json.nextQuestion;
+    const answered = await request('POST', `/api/review/${sessionId}/answer`, {
+      questionKey,
+      selectedChoices: [choices[0].key]
+    });
+    assert.equal(answered.status, 200, answered.text);
+
+    status = await request('GET', `/api/review/${sessionId}/status`);
+    assert.equal(status.status, 200, status.text);
+  }
+  assert.equal(status.json.remainingQuestions, 0);
+
+  const report = await request('GET', `/api/review/${sessionId}/report`);
+  assert.equal(report.status, 200, report.text);
+  assert.equal(typeof report.json.report.overallScore, 'number');
+  assert.ok(report.json.findings.length > 0);
+
+  const markdown = await request('GET', `/api/review/${sessionId}/report?format=markdown`);
+  assert.equal(markdown.status, 200, markdown.text);
+  assert.match(markdown.text, /^# AWS Well-Architected Review Report/);
+
+  const exported = await request('GET', `/api/review/${sessionId}/export/wa-tool`);
+  assert.equal(exported.status, 200, exported.text);
+  assert.equal(exported.json.source.sessionId, sessionId);
+});
+
+test('unknown sessions are answered with 404', async () => {
+  const report = await request('GET', '/api/review/00000000-0000-4000-8000-000000000000/report?format=markdown');
+  assert.equal(report.status, 404);
+});